@@ -1,22 +1,38 @@
-from flask import Flask, request, jsonify # flask for server handling
+from flask import Flask, request, jsonify, Response # flask for server handling
 from flask_cors import CORS # cors for allowing frontend to access the backend
+from flask_sock import Sock # websocket endpoint for the frontend
 import pandas as pd # pandas for dealing with csv 
+import json # for encoding the packets of the event stream
+import threading # for waking up the streams when a packet arrives
 
 # defining the application
 app = Flask(__name__)
 # adding to the cors so that frontend will have access to the backend
 CORS(app)
+sock = Sock(app)
 
 # here I will save all data poinst received from sender
 data = []
 
+# streams wait on this until a new packet is appended to data
+new_data = threading.Condition()
+
+# seconds between keep-alive comments on an idle stream
+STREAM_HEARTBEAT = 15
+
+# seconds a caught-up websocket waits for new packets before it checks for
+# messages from the client again
+SOCKET_POLL = 0.25
+
 # endpoints needed for getting the packets from sender
 # POST since it will have json file attached, and I need to take it
 # and save it in the data list
 @app.route("/receive", methods=["POST"])
 def receive_point():
     data_rcvd = request.get_json()
-    data.append(data_rcvd)
+    with new_data:
+        data.append(data_rcvd)
+        new_data.notify_all()
     return jsonify({"status": "success"}), 200
 
 # this endpoint will be used on frontend to get the datapoints
@@ -32,9 +48,133 @@ def get_data(index: int):
         return jsonify(data[index]), 200
     except ValueError:
         return jsonify({"error": "Invalid index"}), 400
-    
 
 
+# the largest batch /get_data returns at once
+MAX_BATCH = 1000
+
+# this endpoint returns a range of datapoints, so that the frontend can catch up
+# with many packets in one request: /get_data?from=<index>&limit=<count>
+# total tells the frontend how many packets there are, and so how far behind it is
+@app.route("/get_data", methods=["GET"])
+def get_data_range():
+    try:
+        start = int(request.args.get("from", 0))
+        limit = int(request.args.get("limit", 100))
+    except ValueError:
+        return jsonify({"error": "Invalid range"}), 400
+    if start < 0 or limit < 1:
+        return jsonify({"error": "Invalid range"}), 400
+    limit = min(limit, MAX_BATCH)
+    return jsonify({"from": start, "packets": data[start:start + limit], "total": len(data)}), 200
+
+
+# Server-Sent Events stream of the packets, so the frontend gets every packet
+# as soon as it arrives instead of polling one index at a time.
+# Every event carries the packet index as its id. A client that reconnects
+# sends the last id it saw in the Last-Event-ID header and the stream resumes
+# right after it; the first connection can pick the start with ?from=<index>.
+@app.route("/stream", methods=["GET"])
+def stream():
+    last_event_id = request.headers.get("Last-Event-ID")
+    try:
+        if last_event_id is not None:
+            start = int(last_event_id) + 1
+        else:
+            start = int(request.args.get("from", 0))
+    except ValueError:
+        return jsonify({"error": "Invalid index"}), 400
+    start = max(start, 0)
+
+    def events(index):
+        # tells a client that leaves reconnecting to the browser to wait a
+        # bit; the frontend closes a broken stream and retries with backoff
+        yield "retry: 2000\n\n"
+        yield f"event: total\ndata: {len(data)}\n\n"
+        while True:
+            with new_data:
+                if index >= len(data):
+                    new_data.wait(timeout=STREAM_HEARTBEAT)
+                pending = data[index:]
+                total = len(data)
+            if not pending:
+                # comment line, keeps proxies from closing the idle connection
+                yield ": keep-alive\n\n"
+                continue
+            # how many packets there are (also sent when the stream opens), so
+            # the frontend knows how far behind it is
+            yield f"event: total\ndata: {total}\n\n"
+            for packet in pending:
+                yield f"id: {index}\nevent: packet\ndata: {json.dumps(packet)}\n\n"
+                index += 1
+
+    return Response(events(start), mimetype="text/event-stream",
+                    headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"})
+
+
+
+
+# checks a packet against the filters a websocket client subscribed with
+# suspicious: only suspicious packets
+# (packets carry no country, so filtering by country is left to the frontend)
+def matches(packet, filters):
+    if filters.get("suspicious") and packet.get("suspicious") != 1:
+        return False
+    return True
+
+
+# Websocket transport: the client subscribes with
+#   {"type": "subscribe", "from": <index>, "filters": {"suspicious": bool}}
+# and receives every matching packet from that index on as
+#   {"type": "packet", "index": <index>, "packet": {...}}
+# Every subscription is answered, and every batch of packets preceded and
+# followed, by
+#   {"type": "total", "total": <packets received>, "from": <next index to send>}
+# Subscribing again changes the filters and restarts from the given index,
+# which is also how a reconnecting client resumes after its last packet.
+@sock.route("/ws")
+def websocket(ws):
+    cursor = None
+    filters = {}
+    while True:
+        # before the first subscription there is nothing to send, so wait
+        # for the client instead of just checking for a message
+        message = ws.receive(timeout=SOCKET_POLL if cursor is None else 0)
+        while message is not None:
+            try:
+                request_data = json.loads(message)
+            except ValueError:
+                request_data = None
+            if not isinstance(request_data, dict):
+                request_data = {}
+            if request_data.get("type") == "subscribe":
+                try:
+                    cursor = max(int(request_data.get("from", 0)), 0)
+                except (TypeError, ValueError):
+                    cursor = 0
+                filters = request_data.get("filters") or {}
+                ws.send(json.dumps({"type": "total", "total": len(data), "from": cursor}))
+            message = ws.receive(timeout=0)
+
+        if cursor is None:
+            continue
+
+        with new_data:
+            if cursor >= len(data):
+                new_data.wait(timeout=SOCKET_POLL)
+            pending = data[cursor:]
+            total = len(data)
+        if not pending:
+            continue
+        # how many packets there are, and where the batch starts and ends, so
+        # the frontend knows how far behind it is even when packets are filtered out
+        ws.send(json.dumps({"type": "total", "total": total, "from": cursor}))
+        for packet in pending:
+            if matches(packet, filters):
+                ws.send(json.dumps({"type": "packet", "index": cursor, "packet": packet}))
+            cursor += 1
+        ws.send(json.dumps({"type": "total", "total": total, "from": cursor}))
+
 
 # Here start the application
 # Disable logging since there will be spam in console otherwise
@@ -46,5 +186,6 @@ if __name__ == "__main__":
     log.disabled = True
     app.logger.disabled = True
 
-    app.run(port=5001, host="0.0.0.0", debug=False)
+    # threaded, so that open streams do not block the other endpoints
+    app.run(port=5001, host="0.0.0.0", debug=False, threaded=True)
     
\ No newline at end of file
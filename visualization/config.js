@@ -0,0 +1,187 @@
+// Runtime configuration of the frontend.
+//
+// Values come from, in order of precedence:
+//   1. the URL query, e.g. index.html?transport=poll&pollInterval=250
+//      (headers as header.<Name>=<value>, e.g. header.Authorization=Bearer%20abc)
+//   2. config.json next to index.html
+//   3. the defaults below
+//
+// Several receivers can be shown at once by listing them in `sources`, each
+// with a name, a backendUrl and optionally its own color, transport,
+// headers or polling settings; what a source leaves out is taken from the
+// top level. Without `sources` there is a single source for backendUrl. In
+// the query, every source=<url> adds a source, and every
+// destination=<lat>,<lon>[,<name>] an arc destination.
+
+export const DEFAULT_CONFIG = {
+    // base URL of the receiver; empty for port 5001 on the host serving the page
+    backendUrl: "",
+    // websocket URL; empty to derive it from backendUrl
+    socketUrl: "",
+    // "sse", "ws" or "poll"
+    transport: "sse",
+    // with "ws", let the receiver leave out the packets the "Only
+    // suspicious" filter hides, instead of receiving every packet
+    serverFilters: false,
+    // extra headers sent with every polling request, e.g. for authentication
+    headers: {},
+    // ms between polls while keeping up, and while there is nothing new
+    pollInterval: 100,
+    idlePollInterval: 1000,
+    // largest batch a poll asks for
+    batchSize: 500,
+    // token for the remote ipinfo.io API, empty to stay offline
+    ipinfoToken: "",
+    // receivers to merge, e.g. [{ "name": "EU", "backendUrl": "http://eu:5001" }]
+    sources: [],
+    // ms a packet may wait for packets of other sources with an earlier
+    // Timestamp, and how many packets may wait at most
+    reorderDelay: 1000,
+    reorderCapacity: 5000,
+    // ms of packet time a dot stays on the globe
+    windowLength: 10000,
+    // ms the live view runs behind the newest packet, so packets arriving
+    // out of order by less than that are still shown at their own time
+    reorderTolerance: 2000,
+    // sites the arcs run to, e.g. [{ "name": "Innopolis", "lat": 55.75, "lon": 48.74 }]
+    destinations: [
+        { name: "Innopolis", lat: 55.7527, lon: 48.7443 }
+    ]
+};
+
+// Colors given to sources that do not have one
+export const SOURCE_COLORS = ['#00bfff', '#ffd700', '#ff69b4', '#7fff00', '#ff8c00', '#ba55d3'];
+
+// Settings every source has; missing ones come from the top level
+const SOURCE_KEYS = ["backendUrl", "socketUrl", "transport", "serverFilters", "headers", "pollInterval", "idlePollInterval", "batchSize"];
+
+const TRANSPORTS = ["sse", "ws", "poll"];
+
+// Loads config.json and applies the query overrides. A missing or broken
+// config.json is reported and the defaults are used instead.
+export async function loadConfig(url = "config.json", search = location.search) {
+    let fileConfig = {};
+    try {
+        const res = await fetch(url, { cache: "no-cache" });
+        if (res.ok) {
+            fileConfig = await res.json();
+        } else if (res.status !== 404) {
+            throw new Error(`${url}: HTTP ${res.status}`);
+        }
+    } catch (err) {
+        console.error("Could not load the configuration, using defaults:", err);
+    }
+    return resolveConfig(fileConfig, new URLSearchParams(search));
+}
+
+// Merges the defaults, the file and the query into the final configuration.
+export function resolveConfig(fileConfig, params = new URLSearchParams()) {
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...fileConfig,
+        headers: { ...DEFAULT_CONFIG.headers, ...fileConfig.headers }
+    };
+
+    // query values override the same setting of every source as well
+    const overrides = { headers: {} };
+    for (const [key, value] of params) {
+        if (key.startsWith("header.")) {
+            overrides.headers[key.slice("header.".length)] = value;
+        } else if (typeof DEFAULT_CONFIG[key] === "number") {
+            overrides[key] = Number(value);
+        } else if (typeof DEFAULT_CONFIG[key] === "boolean") {
+            overrides[key] = value === "true" || value === "1";
+        } else if (key in DEFAULT_CONFIG && typeof DEFAULT_CONFIG[key] !== "object") {
+            overrides[key] = value;
+        }
+    }
+    Object.assign(config, overrides, { headers: { ...config.headers, ...overrides.headers } });
+    validate(config);
+
+    const queryDestinations = params.getAll("destination").map(value => {
+        const [lat, lon, ...name] = value.split(",");
+        return { name: name.join(","), lat: Number(lat), lon: Number(lon) };
+    });
+    if (queryDestinations.length > 0) config.destinations = queryDestinations;
+    config.destinations = validDestinations(config.destinations);
+
+    const querySources = params.getAll("source").map(backendUrl => ({ backendUrl }));
+    let sources = querySources.length > 0 ? querySources : config.sources;
+    if (!Array.isArray(sources) || sources.length === 0) sources = [{}];
+
+    config.sources = sources.map((source, i) => {
+        const resolved = { ...source };
+        for (const key of SOURCE_KEYS) {
+            if (!(key in source) || key in overrides) resolved[key] = config[key];
+        }
+        // a source on another host does not share the top-level websocket
+        if (source.backendUrl && !source.socketUrl && !("socketUrl" in overrides)) resolved.socketUrl = "";
+        resolved.headers = { ...config.headers, ...source.headers, ...overrides.headers };
+        validate(resolved);
+        resolveUrls(resolved);
+        resolved.id = i;
+        resolved.name = source.name || (sources.length > 1 ? sourceName(resolved.backendUrl, i) : "receiver");
+        resolved.color = source.color || SOURCE_COLORS[i % SOURCE_COLORS.length];
+        return resolved;
+    });
+    resolveUrls(config);
+    return config;
+}
+
+// Replaces invalid transport and polling settings with the defaults.
+function validate(config) {
+    if (!TRANSPORTS.includes(config.transport)) {
+        console.error(`Unknown transport "${config.transport}", using "${DEFAULT_CONFIG.transport}"`);
+        config.transport = DEFAULT_CONFIG.transport;
+    }
+    for (const key of ["pollInterval", "idlePollInterval", "batchSize", "reorderDelay", "reorderCapacity", "windowLength"]) {
+        if (key in config && !(config[key] > 0)) {
+            console.error(`Invalid ${key} "${config[key]}", using ${DEFAULT_CONFIG[key]}`);
+            config[key] = DEFAULT_CONFIG[key];
+        }
+    }
+    if ("reorderTolerance" in config && !(config.reorderTolerance >= 0)) {
+        console.error(`Invalid reorderTolerance "${config.reorderTolerance}", using ${DEFAULT_CONFIG.reorderTolerance}`);
+        config.reorderTolerance = DEFAULT_CONFIG.reorderTolerance;
+    }
+}
+
+// Drops arc destinations without valid coordinates.
+function validDestinations(destinations) {
+    if (!Array.isArray(destinations)) {
+        console.error("Invalid destinations, using the defaults");
+        return DEFAULT_CONFIG.destinations;
+    }
+    return destinations.filter(site => {
+        const valid = site !== null && typeof site === "object" &&
+            Number.isFinite(site.lat) && Math.abs(site.lat) <= 90 &&
+            Number.isFinite(site.lon) && Math.abs(site.lon) <= 180;
+        if (!valid) console.error("Invalid destination, skipping it:", site);
+        return valid;
+    }).map(site => ({ ...site, name: site.name || `${site.lat}, ${site.lon}` }));
+}
+
+// Name of a source without one: the host of its URL. A relative URL is on
+// the host serving the page, so it is named by its path instead, and
+// anything else gets its number.
+function sourceName(url, i) {
+    try {
+        const { host } = new URL(url);
+        if (host) return host;
+    } catch (err) {
+        if (url.startsWith("/")) return new URL(url, "http://localhost").pathname;
+    }
+    return `source ${i + 1}`;
+}
+
+// Fills in the backend and websocket URLs when they are left empty.
+function resolveUrls(config) {
+    if (!config.backendUrl) {
+        const protocol = location.protocol === "https:" ? "https:" : "http:";
+        config.backendUrl = `${protocol}//${location.hostname || "localhost"}:5001`;
+    }
+    config.backendUrl = config.backendUrl.replace(/\/+$/, "");
+    if (!config.socketUrl) {
+        config.socketUrl = `${config.backendUrl.replace(/^http/, "ws")}/ws`;
+    }
+}
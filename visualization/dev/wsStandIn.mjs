@@ -0,0 +1,176 @@
+// In-memory stand-in for the receiver's /ws endpoint, so the websocket
+// source can be run without a backend or a network.
+//
+// createStandInServer() speaks the same protocol as receiver.py: a client
+// subscribes with {"type": "subscribe", "from": <index>, "filters": {...}}
+// and gets every matching packet from that index on, with the number of
+// packets received before and after every batch. Its Socket class is
+// passed to createWebSocketSource as WebSocketImpl. Packets can be added,
+// connections dropped and new ones refused, to see how the source
+// subscribes, reconnects and resumes.
+//
+// Run directly, it goes through these cases and reports the result:
+//   node visualization/dev/wsStandIn.mjs
+
+import assert from 'node:assert/strict';
+import { pathToFileURL } from 'node:url';
+import { createWebSocketSource } from '../sources/wsSource.js';
+
+export function createStandInServer(packets = []) {
+    const clients = new Set();
+    let online = true;
+
+    // same filters as matches() in receiver.py
+    function matches(packet, filters) {
+        return !filters.suspicious || packet.suspicious === 1;
+    }
+
+    function send(client, message) {
+        client.onmessage?.({ data: JSON.stringify(message) });
+    }
+
+    // Sends a client everything from its cursor on.
+    function flush(client) {
+        if (client.cursor === null || client.cursor >= packets.length) return;
+        send(client, { type: "total", total: packets.length, from: client.cursor });
+        while (client.cursor < packets.length) {
+            const index = client.cursor++;
+            if (matches(packets[index], client.filters)) {
+                send(client, { type: "packet", index, packet: packets[index] });
+            }
+        }
+        send(client, { type: "total", total: packets.length, from: client.cursor });
+    }
+
+    class Socket {
+        static CONNECTING = 0;
+        static OPEN = 1;
+        static CLOSED = 3;
+
+        constructor(url) {
+            this.url = url;
+            this.readyState = Socket.CONNECTING;
+            this.cursor = null;
+            this.filters = {};
+            // like a browser, the outcome is reported after the constructor returns
+            setTimeout(() => {
+                if (this.readyState !== Socket.CONNECTING) return;
+                if (!online) {
+                    this.readyState = Socket.CLOSED;
+                    this.onclose?.();
+                    return;
+                }
+                this.readyState = Socket.OPEN;
+                clients.add(this);
+                this.onopen?.();
+            }, 0);
+        }
+
+        send(message) {
+            const request = JSON.parse(message);
+            if (request.type !== "subscribe") return;
+            this.cursor = Math.max(Number(request.from) || 0, 0);
+            this.filters = request.filters || {};
+            send(this, { type: "total", total: packets.length, from: this.cursor });
+            flush(this);
+        }
+
+        close() {
+            if (this.readyState === Socket.CLOSED) return;
+            this.readyState = Socket.CLOSED;
+            clients.delete(this);
+            setTimeout(() => this.onclose?.(), 0);
+        }
+    }
+
+    return {
+        Socket,
+        // Appends a packet and pushes it to the subscribed clients.
+        push(packet) {
+            packets.push(packet);
+            clients.forEach(flush);
+        },
+        // Closes every open connection, as if the receiver went away.
+        dropAll() {
+            [...clients].forEach(client => client.close());
+        },
+        // While offline, new connections are closed right away.
+        setOnline(value) {
+            online = value;
+        },
+        get clients() {
+            return clients.size;
+        }
+    };
+}
+
+// Lets the stand-in's timers run.
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+async function runChecks() {
+    const server = createStandInServer([0, 1, 2, 3, 4].map(i => ({ i, suspicious: i % 2 })));
+    const received = [];
+    const statuses = [];
+    const timers = [];
+    const source = createWebSocketSource("ws://stand-in/ws", {
+        WebSocketImpl: server.Socket,
+        onPacket: (packet, index) => received.push(index),
+        onStatus: (status, wait) => statuses.push({ status, wait }),
+        random: () => 1,
+        // reconnects are run by hand below
+        setTimer: (fn, wait) => timers.push({ fn, wait }),
+        clearTimer: () => {}
+    });
+
+    // subscribe: everything from index 0 on, then what is pushed later
+    source.start();
+    await settle();
+    server.push({ i: 5, suspicious: 0 });
+    assert.deepEqual(received, [0, 1, 2, 3, 4, 5]);
+
+    // filters: only suspicious packets from the next index on
+    source.setFilters({ suspicious: true });
+    server.push({ i: 6, suspicious: 0 });
+    server.push({ i: 7, suspicious: 1 });
+    assert.deepEqual(received.slice(6), [7]);
+    server.push({ i: 8, suspicious: 0 });
+    assert.equal(source.backlog, 0);
+    source.setFilters({});
+
+    // reconnect: the delay grows while the receiver is away
+    server.setOnline(false);
+    server.dropAll();
+    await settle();
+    server.push({ i: 9, suspicious: 0 });
+    timers.shift().fn();
+    await settle();
+    const waits = statuses.filter(({ status }) => status === "reconnecting").map(({ wait }) => wait);
+    assert.deepEqual(waits, [500, 1000]);
+
+    // resume: the next connection picks up after the last packet received
+    server.setOnline(true);
+    timers.shift().fn();
+    await settle();
+    assert.deepEqual(received.slice(6), [7, 8, 9]);
+    assert.equal(source.nextIndex, 10);
+    assert.equal(source.backlog, 0);
+
+    // stop and start before the old socket has closed: one connection stays
+    source.stop();
+    source.start();
+    await settle();
+    assert.equal(server.clients, 1);
+    assert.equal(timers.length, 0);
+    source.stop();
+
+    console.log("websocket source: subscribe, filters, backlog, reconnect and resume work against the stand-in");
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    runChecks().catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
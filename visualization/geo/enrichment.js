@@ -0,0 +1,112 @@
+// Caching layer in front of a country resolver (see geoip.js).
+//
+// - answers are kept in an LRU cache, so an IP that shows up again is free
+// - concurrent lookups of the same IP share one in-flight promise
+// - at most `concurrency` lookups run at a time, the rest wait in a queue
+// - failed lookups are cached for `failureTtl` ms, so a broken provider is
+//   not asked about the same address over and over
+
+import { UNKNOWN_COUNTRY } from './geoip.js';
+
+export function createEnrichment(resolver, {
+    cacheSize = 5000,
+    concurrency = 4,
+    failureTtl = 60000
+} = {}) {
+    const cache = new Map();     // ip -> { value, expires }, in least to most recently used order
+    const inFlight = new Map();  // ip -> promise of the running lookup
+    const queue = [];            // lookups waiting for a free slot
+    let running = 0;
+
+    const stats = { hits: 0, misses: 0, coalesced: 0, failures: 0 };
+
+    // Returns the cached answer for the IP, refreshing its LRU position.
+    function fromCache(ip) {
+        const entry = cache.get(ip);
+        if (!entry) return undefined;
+        if (entry.expires !== null && entry.expires < Date.now()) {
+            cache.delete(ip);
+            return undefined;
+        }
+        cache.delete(ip);
+        cache.set(ip, entry);
+        return entry.value;
+    }
+
+    function remember(ip, value, expires = null) {
+        cache.delete(ip);
+        cache.set(ip, { value, expires });
+        // Map keeps insertion order, so the first key is the least recently used
+        while (cache.size > cacheSize) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    // Runs `task` once a concurrency slot is free.
+    function schedule(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            drain();
+        });
+    }
+
+    function drain() {
+        while (running < concurrency && queue.length > 0) {
+            const { task, resolve, reject } = queue.shift();
+            running++;
+            task().then(resolve, reject).finally(() => {
+                running--;
+                drain();
+            });
+        }
+    }
+
+    // Returns { country, country_code } for the IP. Never rejects: addresses
+    // that cannot be resolved come back as UNKNOWN_COUNTRY.
+    function lookup(ip) {
+        const cached = fromCache(ip);
+        if (cached !== undefined) {
+            stats.hits++;
+            return Promise.resolve(cached);
+        }
+        if (inFlight.has(ip)) {
+            stats.coalesced++;
+            return inFlight.get(ip);
+        }
+
+        stats.misses++;
+        const promise = schedule(() => resolver.lookup(ip))
+            .then(result => {
+                const value = result || UNKNOWN_COUNTRY;
+                remember(ip, value);
+                return value;
+            })
+            .catch(err => {
+                console.error("Error resolving country:", err);
+                stats.failures++;
+                remember(ip, UNKNOWN_COUNTRY, Date.now() + failureTtl);
+                return UNKNOWN_COUNTRY;
+            })
+            .finally(() => inFlight.delete(ip));
+
+        inFlight.set(ip, promise);
+        return promise;
+    }
+
+    // The cached answer for the IP, or undefined; never starts a lookup.
+    function peek(ip) {
+        return fromCache(ip);
+    }
+
+    return {
+        lookup,
+        peek,
+        stats,
+        get cacheSize() {
+            return cache.size;
+        },
+        get pending() {
+            return running + queue.length;
+        }
+    };
+}
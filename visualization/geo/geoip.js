@@ -0,0 +1,152 @@
+// IP to country resolvers.
+//
+// A resolver is an object with a `name` and an async `lookup(ip)` that returns
+// { country, country_code } for the address, or null when it does not know it.
+// Resolvers can be chained, so the bundled offline database can be backed by
+// a remote API for the addresses it cannot place.
+
+export const UNKNOWN_COUNTRY = { country: "Unknown", country_code: "XX" };
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// Returns the English name of a two-letter country code.
+export function countryName(code) {
+    try {
+        return regionNames.of(code) || code;
+    } catch (err) {
+        return code;
+    }
+}
+
+// Converts a dotted IPv4 address to an unsigned 32-bit number, or null if the
+// string is not an IPv4 address.
+export function ipv4ToNumber(ip) {
+    const parts = String(ip).trim().split(".");
+    if (parts.length !== 4) return null;
+
+    let value = 0;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = value * 256 + Number(part);
+    }
+    return value;
+}
+
+// Resolver backed by a bundled IP-range-to-country CSV with the columns
+// start,end,country_code, where start and end are IPv4 addresses as numbers
+// and the ranges are sorted. The file is downloaded on the first lookup.
+export function createOfflineResolver(url) {
+    let database = null;
+
+    function load() {
+        if (!database) {
+            database = fetch(url)
+                .then(res => {
+                    if (!res.ok) throw new Error(`Could not load ${url}: ${res.status}`);
+                    return res.text();
+                })
+                .then(parseRanges);
+            // allow another attempt if the download failed
+            database.catch(() => { database = null; });
+        }
+        return database;
+    }
+
+    return {
+        name: "offline",
+        load,
+        async lookup(ip) {
+            const address = ipv4ToNumber(ip);
+            if (address === null) return null;
+
+            const { starts, ends, codeIndexes, codes } = await load();
+
+            // binary search for the last range starting at or before the address
+            let low = 0;
+            let high = starts.length - 1;
+            while (low <= high) {
+                const middle = (low + high) >>> 1;
+                if (starts[middle] <= address) low = middle + 1;
+                else high = middle - 1;
+            }
+            if (high < 0 || ends[high] < address) return null;
+
+            const code = codes[codeIndexes[high]];
+            return { country: countryName(code), country_code: code };
+        }
+    };
+}
+
+// Parses the range CSV into typed arrays, which keeps the few hundred
+// thousand ranges compact and fast to search.
+function parseRanges(text) {
+    const lines = text.split("\n");
+    const starts = new Uint32Array(lines.length);
+    const ends = new Uint32Array(lines.length);
+    const codeIndexes = new Uint16Array(lines.length);
+    const codes = [];
+    const codeIndex = new Map();
+
+    let count = 0;
+    for (const line of lines) {
+        const [start, end, code] = line.trim().split(",");
+        if (!code || !/^\d+$/.test(start)) continue;  // header or empty line
+
+        if (!codeIndex.has(code)) {
+            codeIndex.set(code, codes.length);
+            codes.push(code);
+        }
+        starts[count] = Number(start);
+        ends[count] = Number(end);
+        codeIndexes[count] = codeIndex.get(code);
+        count++;
+    }
+
+    return {
+        starts: starts.subarray(0, count),
+        ends: ends.subarray(0, count),
+        codeIndexes: codeIndexes.subarray(0, count),
+        codes
+    };
+}
+
+// Resolver using the remote ipinfo.io Lite API. Every lookup sends the
+// address to a third party, so it is only used when a token is configured.
+export function createIpinfoResolver({ token }) {
+    return {
+        name: "ipinfo",
+        async lookup(ip) {
+            const res = await fetch(`https://api.ipinfo.io/lite/${encodeURIComponent(ip)}?token=${encodeURIComponent(token)}`);
+            if (!res.ok) throw new Error(`ipinfo.io lookup failed: ${res.status}`);
+            const geoData = await res.json();
+            if (!geoData.country_code) return null;
+
+            return {
+                country: geoData.country || countryName(geoData.country_code),
+                country_code: geoData.country_code
+            };
+        }
+    };
+}
+
+// Resolver that asks the given resolvers in order and returns the first
+// answer. A resolver that fails is skipped; if all of them fail, the last
+// error is thrown.
+export function createResolverChain(resolvers) {
+    return {
+        name: resolvers.map(resolver => resolver.name).join("+"),
+        async lookup(ip) {
+            let lastError = null;
+            for (const resolver of resolvers) {
+                try {
+                    const result = await resolver.lookup(ip);
+                    if (result) return result;
+                } catch (err) {
+                    lastError = err;
+                }
+            }
+            if (lastError) throw lastError;
+            return null;
+        }
+    };
+}
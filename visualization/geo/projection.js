@@ -0,0 +1,138 @@
+// importing needed packages
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
+
+const DEG = Math.PI / 180;
+const FLAT_NORMAL = new THREE.Vector3(0, 0, 1);
+
+// Half the width of the flat map. The map lies in the XY plane, centered on
+// the origin, so that it fills about the same screen space as the globe.
+const HALF_WIDTH = 2;
+
+// Mercator cannot show the poles, latitudes are clamped to this.
+const MERCATOR_MAX_LAT = 85;
+
+// Projections map latitude/longitude (degrees) and an altitude above the
+// surface to a point in the scene, and tell which way is "up" there.
+export const PROJECTIONS = {
+    // The original globe of radius 1.
+    globe: {
+        position(lat, lon, altitude, target) {
+            const radius = 1 + altitude;
+            const phi = (90 - lat) * DEG;
+            const theta = (lon + 180) * DEG;
+            return target.set(
+                -radius * Math.sin(phi) * Math.cos(theta),
+                radius * Math.cos(phi),
+                radius * Math.sin(phi) * Math.sin(theta)
+            );
+        },
+        normal(lat, lon, target) {
+            return this.position(lat, lon, 0, target);
+        }
+    },
+
+    // Plate carrée: longitude and latitude map linearly to x and y.
+    equirectangular: {
+        position(lat, lon, altitude, target) {
+            return target.set(lon / 180 * HALF_WIDTH, lat / 180 * HALF_WIDTH, altitude);
+        },
+        normal(lat, lon, target) {
+            return target.copy(FLAT_NORMAL);
+        }
+    },
+
+    mercator: {
+        position(lat, lon, altitude, target) {
+            const clamped = Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat));
+            const y = Math.log(Math.tan(Math.PI / 4 + clamped * DEG / 2));
+            return target.set(lon / 180 * HALF_WIDTH, y / Math.PI * HALF_WIDTH, altitude);
+        },
+        normal(lat, lon, target) {
+            return target.copy(FLAT_NORMAL);
+        }
+    }
+};
+
+// Creates the projection shared by the earth and every layer. It can switch
+// between the projections above with an animated morph: while a switch is in
+// progress, positions are blended between the old and the new projection.
+export function createProjection(mode = 'globe') {
+    let from = PROJECTIONS[mode];
+    let to = from;
+    let progress = 1;        // 0 = `from`, 1 = `to`
+    const duration = 1.5;    // seconds a morph takes
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const point = new THREE.Vector3();
+
+    // Eases the morph so that it starts and ends slowly.
+    function blend() {
+        return progress * progress * (3 - 2 * progress);
+    }
+
+    const projection = {
+        get mode() {
+            return mode;
+        },
+
+        // True when the projection shows a flat map (or is morphing into one).
+        get isFlat() {
+            return mode !== 'globe';
+        },
+
+        // Returns the scene position for the coordinates.
+        project(lat, lon, altitude = 0.01, target = new THREE.Vector3()) {
+            if (progress >= 1) return to.position(lat, lon, altitude, target);
+            from.position(lat, lon, altitude, a);
+            to.position(lat, lon, altitude, b);
+            return target.copy(a).lerp(b, blend());
+        },
+
+        // Returns the unit vector pointing away from the surface at the coordinates.
+        normal(lat, lon, target = new THREE.Vector3()) {
+            if (progress >= 1) return to.normal(lat, lon, target);
+            from.normal(lat, lon, a);
+            to.normal(lat, lon, b);
+            return target.copy(a).lerp(b, blend()).normalize();
+        },
+
+        // Starts morphing into another projection.
+        setMode(next) {
+            if (next === mode || !PROJECTIONS[next]) return;
+            from = to;
+            to = PROJECTIONS[next];
+            mode = next;
+            progress = 0;
+        },
+
+        // Advances the morph by `delta` seconds. Returns true when positions
+        // changed and everything placed with this projection must be redone.
+        update(delta) {
+            if (progress >= 1) return false;
+            progress = Math.min(1, progress + delta / duration);
+            return true;
+        },
+
+        // Moves the vertices of a SphereGeometry to the current projection.
+        // The coordinates of each vertex come from its texture coordinates,
+        // so the texture stays where it belongs on every projection.
+        projectSphere(geometry, altitude = 0) {
+            const uv = geometry.attributes.uv;
+            const position = geometry.attributes.position;
+            const normal = geometry.attributes.normal;
+            for (let i = 0; i < uv.count; i++) {
+                const lon = uv.getX(i) * 360 - 180;
+                const lat = uv.getY(i) * 180 - 90;
+                projection.project(lat, lon, altitude, point);
+                position.setXYZ(i, point.x, point.y, point.z);
+                projection.normal(lat, lon, point);
+                normal.setXYZ(i, point.x, point.y, point.z);
+            }
+            position.needsUpdate = true;
+            normal.needsUpdate = true;
+            geometry.computeBoundingSphere();
+        }
+    };
+
+    return projection;
+}
@@ -0,0 +1,118 @@
+// Offline reverse geocoding: finds the country that contains a point, using
+// the country shapes of the bundled GeoJSON (the same features the country
+// layer draws). Lookups are synchronous, so a dot knows its country as soon
+// as it is created.
+
+import { countryName } from './geoip.js';
+
+// Size in degrees of the cells of the spatial index
+const CELL_SIZE = 5;
+const ROWS = 180 / CELL_SIZE;
+const COLUMNS = 360 / CELL_SIZE;
+
+// The bundled shapes are coarse, so coastal cities can fall just outside
+// their country. Points that hit no country are tried again this many
+// degrees away in eight directions.
+const COAST_TOLERANCE = 0.5;
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Creates an empty geocoder; lookups return null until features are set.
+export function createReverseGeocoder() {
+    let shapes = [];  // { country, country_code, rings, minLat, maxLat, minLon, maxLon }
+    let cells = [];   // cell index -> shapes whose bounding box overlaps the cell
+
+    function cellIndex(row, column) {
+        return row * COLUMNS + column;
+    }
+
+    function rowOf(lat) {
+        return Math.min(ROWS - 1, Math.max(0, Math.floor((lat + 90) / CELL_SIZE)));
+    }
+
+    function columnOf(lon) {
+        return Math.min(COLUMNS - 1, Math.max(0, Math.floor((lon + 180) / CELL_SIZE)));
+    }
+
+    // Builds the index from GeoJSON country features with `iso_a2` and
+    // `name` properties.
+    function setFeatures(features) {
+        shapes = features.map(feature => {
+            const { type, coordinates } = feature.geometry;
+            const rings = (type === 'Polygon' ? [coordinates] : coordinates).flat();
+            const shape = {
+                country: countryName(feature.properties.iso_a2) || feature.properties.name,
+                country_code: feature.properties.iso_a2,
+                rings,
+                minLat: Infinity, maxLat: -Infinity,
+                minLon: Infinity, maxLon: -Infinity
+            };
+            for (const ring of rings) {
+                for (const [lon, lat] of ring) {
+                    shape.minLat = Math.min(shape.minLat, lat);
+                    shape.maxLat = Math.max(shape.maxLat, lat);
+                    shape.minLon = Math.min(shape.minLon, lon);
+                    shape.maxLon = Math.max(shape.maxLon, lon);
+                }
+            }
+            return shape;
+        });
+
+        cells = Array.from({ length: ROWS * COLUMNS }, () => []);
+        for (const shape of shapes) {
+            for (let row = rowOf(shape.minLat); row <= rowOf(shape.maxLat); row++) {
+                for (let column = columnOf(shape.minLon); column <= columnOf(shape.maxLon); column++) {
+                    cells[cellIndex(row, column)].push(shape);
+                }
+            }
+        }
+    }
+
+    // Returns { country, country_code } of the country containing the
+    // point, or null when it is in the sea or the shapes are not loaded yet.
+    function lookup(lat, lon) {
+        if (cells.length === 0 || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+        const place = countryAt(lat, lon);
+        if (place) return place;
+        for (const [dLat, dLon] of NEIGHBOURS) {
+            const near = countryAt(lat + dLat * COAST_TOLERANCE, lon + dLon * COAST_TOLERANCE);
+            if (near) return near;
+        }
+        return null;
+    }
+
+    function countryAt(lat, lon) {
+        for (const shape of cells[cellIndex(rowOf(lat), columnOf(lon))]) {
+            if (lat < shape.minLat || lat > shape.maxLat || lon < shape.minLon || lon > shape.maxLon) continue;
+            if (contains(shape.rings, lat, lon)) {
+                return { country: shape.country, country_code: shape.country_code };
+            }
+        }
+        return null;
+    }
+
+    return {
+        setFeatures,
+        lookup,
+        get loaded() {
+            return cells.length > 0;
+        }
+    };
+}
+
+// Even-odd ray casting over all rings of a shape, so holes are handled by
+// the same test as the outer rings.
+function contains(rings, lat, lon) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [lonI, latI] = ring[i];
+            const [lonJ, latJ] = ring[j];
+            if ((latI > lat) !== (latJ > lat) &&
+                lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
@@ -0,0 +1,32 @@
+const DEG = Math.PI / 180;
+
+// Returns the point on earth where the sun is straight overhead at the given
+// time (a Date or milliseconds since the epoch), as { lat, lon } in degrees.
+// Uses the low-precision solar coordinates from the Astronomical Almanac,
+// which are good to about a degree and more than enough to place the
+// day/night terminator.
+export function subsolarPoint(time) {
+    const days = +time / 86400000 - 10957.5;  // days since J2000.0
+
+    const meanAnomaly = (357.529 + 0.98560028 * days) * DEG;
+    const meanLongitude = 280.459 + 0.98564736 * days;
+    const eclipticLongitude = (meanLongitude
+        + 1.915 * Math.sin(meanAnomaly)
+        + 0.020 * Math.sin(2 * meanAnomaly)) * DEG;
+    const obliquity = (23.439 - 0.00000036 * days) * DEG;
+
+    const rightAscension = Math.atan2(
+        Math.cos(obliquity) * Math.sin(eclipticLongitude),
+        Math.cos(eclipticLongitude)
+    );
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+    // Greenwich mean sidereal time, in degrees
+    const siderealTime = 280.46061837 + 360.98564736629 * days;
+
+    let lon = (rightAscension / DEG - siderealTime) % 360;
+    if (lon > 180) lon -= 360;
+    if (lon < -180) lon += 360;
+
+    return { lat: declination / DEG, lon };
+}
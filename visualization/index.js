@@ -1,19 +1,109 @@
 // importing needed packages
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
 import { OrbitControls } from './lib/OrbitControls.js';
+import { loadConfig } from './config.js';
+import { createProjection } from './geo/projection.js';
+import { createOfflineResolver, createIpinfoResolver, createResolverChain, countryName } from './geo/geoip.js';
+import { createEnrichment } from './geo/enrichment.js';
+import { createReverseGeocoder } from './geo/reverseGeocoder.js';
+import { createRenderQueue } from './sources/renderQueue.js';
+import { createMergeBuffer } from './sources/mergeBuffer.js';
+import { createReceiver } from './sources/receiver.js';
+import { createPlayback } from './sources/playback.js';
+import { packetTime } from './sources/packetTime.js';
+import { createTimeSeries, downsample } from './sources/timeSeries.js';
+import { parsePackets } from './sources/csvReplay.js';
+import { createDotLayer } from './layers/dotLayer.js';
+import { createArcLayer } from './layers/arcLayer.js';
+import { createHeatmapLayer, HEATMAP_RAMPS } from './layers/heatmapLayer.js';
+import { createBinLayer } from './layers/binLayer.js';
+import { createDayNightShading } from './layers/dayNightShading.js';
+import { createCountryLayer, CHOROPLETH_SCALES, colorAt } from './layers/countryLayer.js';
+import { createClusterLayer } from './layers/clusterLayer.js';
 
-// this function is used for creating charts for the three countries
-function createChart(ctxId, label) {
-    const ctx = document.getElementById(ctxId).getContext('2d');
+// The charts have packet time (ms) on a linear x axis. While a chart follows
+// the playback it shows the last minute or bins up to the position. The
+// mouse wheel or a pinch zooms it and dragging pans it (chartjs-plugin-zoom),
+// after which it stays where it was put until it is double-clicked. Ranges
+// too long to draw point by point are downsampled.
+const CHART_SPAN = 60000;
+const MAX_CHART_POINTS = 300;
+const MAX_TRAFFIC_BARS = 60;
+const TRAFFIC_BIN_SIZES = [1, 5, 10, 30, 60, 300, 600, 1800, 3600];  // seconds
+
+const pinnedCharts = new WeakSet();  // charts the user zoomed or panned
+
+// Full history of the session for the charts, one value per second of
+// packet time: packets received, normal and suspicious, and for every
+// country with a chart the packets it had on the globe.
+const trafficSeries = createTimeSeries();
+const countrySeries = createTimeSeries();
+
+function timeAxis() {
+    return {
+        type: 'linear',
+        ticks: {
+            color: 'white',
+            maxRotation: 0,
+            callback: value => new Date(value).toLocaleTimeString()
+        }
+    };
+}
+
+// Zoom and pan options for the time axis. `redraw` fills the chart for the
+// range it was moved to.
+function timeAxisZoom(redraw) {
+    const pin = ({ chart }) => {
+        pinnedCharts.add(chart);
+        redraw();
+    };
+    return {
+        limits: { x: { minRange: 5000 } },
+        pan: { enabled: true, mode: 'x', onPanComplete: pin },
+        zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            mode: 'x',
+            onZoomComplete: pin
+        }
+    };
+}
+
+// Adds a canvas for a chart to `parent`. A double click on it makes the
+// chart follow the playback again.
+function addChartCanvas(parent, redraw) {
+    const canvas = document.createElement('canvas');
+    canvas.title = "Scroll or pinch to zoom, drag to pan, double-click to follow the playback";
+    canvas.addEventListener('dblclick', () => {
+        pinnedCharts.delete(Chart.getChart(canvas));
+        redraw();
+    });
+    parent.appendChild(canvas);
+    return canvas;
+}
+
+// The time range a chart shows: `span` ms up to the playback position, or
+// where it was zoomed or panned to.
+function visibleRange(chart, span) {
+    if (pinnedCharts.has(chart)) {
+        return { min: chart.scales.x.min, max: chart.scales.x.max };
+    }
+    return { min: playback.position - span, max: playback.position };
+}
+
+// this function is used for creating the country charts: it adds a canvas
+// to `parent` and draws the chart into it
+function createChart(parent, label, redraw) {
+    const ctx = addChartCanvas(parent, redraw).getContext('2d');
     return new Chart(ctx, {
         type: 'line',
         data: {
-            labels: [],
             datasets: [{
                 label: label,
                 data: [],
                 borderColor: 'yellow',
                 borderWidth: 2,
+                pointRadius: 0,
                 fill: false,
                 tension: 0.2
             }]
@@ -22,71 +112,422 @@ function createChart(ctxId, label) {
             responsive: false,
             animation: false,
             plugins: {
-                legend: { labels: { color: 'white' } }
+                legend: { labels: { color: 'white' } },
+                zoom: timeAxisZoom(redraw)
             },
             scales: {
-                x: { ticks: { color: 'white' } },
+                x: timeAxis(),
                 y: { ticks: { color: 'white' } }
             }
         }
     });
 }
 
-// Initialize charts for 3 countries
-const charts = {
-    US: createChart("chartUS", "USA Requests"),
-    RU: createChart("chartRU", "Russia Requests"),
-    CN: createChart("chartCN", "China Requests")
-};
-setInterval(updateCountryCharts, 1000);
+// Overall traffic chart: normal and suspicious packets per bin as bars,
+// stacked or side by side, and the share of suspicious packets as a line on
+// a second axis.
+function createTrafficChart(parent) {
+    const ctx = addChartCanvas(parent, updateTrafficChart).getContext('2d');
+    return new Chart(ctx, {
+        type: 'bar',
+        data: {
+            datasets: [{
+                label: 'Normal',
+                data: [],
+                backgroundColor: 'rgba(0, 255, 0, 0.6)',
+                yAxisID: 'y'
+            }, {
+                label: 'Suspicious',
+                data: [],
+                backgroundColor: 'rgba(255, 0, 0, 0.7)',
+                yAxisID: 'y'
+            }, {
+                type: 'line',
+                label: 'Suspicious %',
+                data: [],
+                borderColor: 'yellow',
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.2,
+                spanGaps: true,
+                yAxisID: 'y1'
+            }]
+        },
+        options: {
+            responsive: false,
+            animation: false,
+            plugins: {
+                legend: { labels: { color: 'white' } },
+                zoom: timeAxisZoom(updateTrafficChart)
+            },
+            scales: {
+                x: { ...timeAxis(), stacked: true, offset: false },
+                y: { stacked: true, beginAtZero: true, ticks: { color: 'white' } },
+                y1: {
+                    position: 'right',
+                    min: 0,
+                    max: 100,
+                    grid: { drawOnChartArea: false },
+                    ticks: { color: 'white', callback: value => `${value}%` }
+                }
+            }
+        }
+    });
+}
+
+let trafficChart;
 
+// Counts a received packet for the traffic chart, if it is of the selected
+// source and passes the filters, like the country table and charts.
+function countTraffic(time, packet, source) {
+    if (!inSelectedSource({ source }) || !matchesFilters(packet)) return;
+    trafficSeries.add(packet.suspicious === 1 ? "suspicious" : "normal", time);
+}
 
-// function to update the country charts
-function updateCountryCharts() {
-    const now = new Date();
-    const label = now.toLocaleTimeString();
+// Redraws the traffic chart for its range, in the bin size picked above the
+// chart. Zoomed out, the bins grow so that there are never too many bars,
+// past an hour to whatever size fits the range.
+function updateTrafficChart() {
+    if (!trafficChart || playback.position === null) return;
+
+    const picked = Number(document.getElementById('trafficBin').value);
+    const { min, max } = visibleRange(trafficChart, picked * 1000 * MAX_TRAFFIC_BARS);
+    const size = TRAFFIC_BIN_SIZES.find(size => size >= picked && (max - min) / 1000 / size <= MAX_TRAFFIC_BARS)
+        || Math.ceil((max - min) / 1000 / MAX_TRAFFIC_BARS);
+
+    // bars stand in the middle of their bin
+    const normalBins = trafficSeries.bins("normal", min, max, size);
+    const suspiciousBins = trafficSeries.bins("suspicious", min, max, size);
+    const middle = size * 500;
+    const [normal, suspicious, share] = trafficChart.data.datasets;
+    normal.data = normalBins.map(({ x, y }) => ({ x: x + middle, y }));
+    suspicious.data = suspiciousBins.map(({ x, y }) => ({ x: x + middle, y }));
+    share.data = normalBins.map(({ x, y }, i) => {
+        const total = y + suspiciousBins[i].y;
+        return { x: x + middle, y: total > 0 ? Math.round(100 * suspiciousBins[i].y / total) : null };
+    });
+
+    trafficChart.options.scales.x.min = min;
+    trafficChart.options.scales.x.max = max;
+    trafficChart.update();
+}
+
+// Countries that have a chart, in the order they are shown. Users add,
+// remove and reorder them, and the choice is kept in localStorage so that it
+// survives a reload.
+const CHART_STORAGE_KEY = "countryCharts";
+const DEFAULT_CHART_COUNTRIES = ["US", "RU", "CN"];
+let chartCountries = loadChartCountries();
+const charts = new Map();  // country code -> { chart, card }
 
-    const counts = { US: 0, RU: 0, CN: 0 };
+// Last second of packet time the country series are sampled up to
+let chartSecond = null;
 
-    activeDots.forEach(dot => {
-        const code = dot.userData.country_code;
-        if (counts[code] !== undefined) {
-            counts[code]++;
+
+// Reads the saved chart countries, or the defaults when there are none.
+function loadChartCountries() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CHART_STORAGE_KEY));
+        if (Array.isArray(saved) && saved.every(code => /^[A-Z]{2}$/.test(code))) return saved;
+    } catch (err) {
+        console.error("Could not read the saved charts:", err);
+    }
+    return DEFAULT_CHART_COUNTRIES;
+}
+
+function saveChartCountries() {
+    try {
+        localStorage.setItem(CHART_STORAGE_KEY, JSON.stringify(chartCountries));
+    } catch (err) {
+        console.error("Could not save the charts:", err);
+    }
+}
+
+// Brings the chart cards in line with chartCountries: creates the missing
+// ones, removes the dropped ones and puts them in order. A new chart gets
+// the history of its country sampled from the kept packets.
+function renderCountryCharts() {
+    const container = document.getElementById('countryCharts');
+    for (const [code, { chart, card }] of charts) {
+        if (chartCountries.includes(code)) continue;
+        chart.destroy();
+        card.remove();
+        charts.delete(code);
+        countrySeries.remove(code);
+    }
+    chartCountries.forEach((code, i) => {
+        if (!charts.has(code)) {
+            charts.set(code, createChartCard(code));
+            if (chartSecond !== null) sampleCountries(Math.floor(playback.start / 1000), chartSecond, [code]);
         }
+        const { card } = charts.get(code);
+        card.querySelector('.moveUp').disabled = i === 0;
+        card.querySelector('.moveDown').disabled = i === chartCountries.length - 1;
+        container.appendChild(card);
     });
+    charts.forEach((_, code) => drawCountryChart(code));
+}
+
+// Builds the card of one country chart: a title with buttons to move the
+// chart up or down or remove it, and the chart itself.
+function createChartCard(code) {
+    const card = document.createElement('div');
+    card.className = "chartCard";
+    card.innerHTML = `
+        <div class="chartHeader">
+            <span>${isoToFlagEmoji(code)} ${countryName(code)}</span>
+            <button class="moveUp" title="Move up">▲</button>
+            <button class="moveDown" title="Move down">▼</button>
+            <button class="removeChart" title="Remove">✕</button>
+        </div>
+    `;
+    card.querySelector('.moveUp').addEventListener('click', () => moveChartCountry(code, -1));
+    card.querySelector('.moveDown').addEventListener('click', () => moveChartCountry(code, 1));
+    card.querySelector('.removeChart').addEventListener('click', () => setChartCountries(chartCountries.filter(c => c !== code)));
+    const chart = createChart(card, `${countryName(code)} Requests`, () => drawCountryChart(code));
+    return { chart, card };
+}
 
-    for (const code of ["US", "RU", "CN"]) {
-        const chart = charts[code];
-        chart.data.labels.push(label);
-        chart.data.datasets[0].data.push(counts[code]);
+function setChartCountries(codes) {
+    chartCountries = codes;
+    saveChartCountries();
+    renderCountryCharts();
+}
+
+// Moves the chart of `code` by `step` places.
+function moveChartCountry(code, step) {
+    const codes = [...chartCountries];
+    const from = codes.indexOf(code);
+    const to = from + step;
+    if (to < 0 || to >= codes.length) return;
+    [codes[from], codes[to]] = [codes[to], codes[from]];
+    setChartCountries(codes);
+}
+
+// Lists the countries currently on the globe that do not have a chart yet,
+// most active first, in the chart picker.
+function updateChartPicker() {
+    const picker = document.getElementById('chartPicker');
+    picker.length = 1;
+    [...aggregateByCountry()]
+        .filter(([code]) => !chartCountries.includes(code))
+        .sort((a, b) => b[1].count - a[1].count)
+        .forEach(([code, { name }]) => picker.add(new Option(`${isoToFlagEmoji(code)} ${name}`, code)));
+}
+
+
+
+// function to update the country charts. Every point is one second of packet
+// time: the seconds the playback position passed are sampled, so the charts
+// move with it, faster when it is sped up and not at all while paused.
+function updateCountryCharts() {
+    const time = playback.position;
+    if (time === null) return;
+    const second = Math.floor(time / 1000);
+    if (chartSecond === null) chartSecond = Math.floor(playback.start / 1000) - 1;
+    // after a seek back, the later seconds are kept and sampled again
+    if (second > chartSecond) sampleCountries(chartSecond + 1, second);
+    chartSecond = second;
+    charts.forEach((_, code) => drawCountryChart(code));
+}
+
+// The country a packet is counted for, placed like plotDot does.
+function countryOf(packet) {
+    const place = reverseGeocoder.lookup(packet.Latitude, packet.Longitude) || enrichment.peek(packet.ip);
+    return place ? place.country_code : null;
+}
+
+// Samples the countries `codes` for every second from `first` to `last`:
+// the packets on the globe at that second, i.e. those of the selected source
+// that passed the filters within the dot window before it. One pass over the
+// kept packets, with the window sliding along. Stretches without packets are
+// skipped: only their first and last second are set to 0, and the line runs
+// flat between them.
+function sampleCountries(first, last, codes = chartCountries) {
+    if (codes.length === 0 || last < first) return;
+
+    const entries = playback.between(first * 1000 - config.windowLength, last * 1000)
+        .filter(({ packet, source }) => inSelectedSource({ source }) && matchesFilters(packet))
+        .map(({ time, packet }) => ({ time, code: countryOf(packet) }))
+        .filter(({ code }) => codes.includes(code));
+
+    const counts = Object.fromEntries(codes.map(code => [code, 0]));
+    let head = 0;  // first entry not in the window yet
+    let tail = 0;  // first entry still in the window
+    for (let second = first; second <= last; second++) {
+        const time = second * 1000;
+        while (head < entries.length && entries[head].time <= time) counts[entries[head++].code]++;
+        while (tail < head && entries[tail].time <= time - config.windowLength) counts[entries[tail++].code]--;
+        codes.forEach(code => countrySeries.set(code, time, counts[code]));
 
-        if (chart.data.labels.length > 60) {
-            chart.data.labels.shift();
-            chart.data.datasets[0].data.shift();
+        if (tail === head) {
+            // nothing on the globe until the second of the next packet
+            const next = head < entries.length ? Math.ceil(entries[head].time / 1000) : last + 1;
+            second = Math.max(second, Math.min(next, last + 1) - 2);
         }
+    }
+}
+
+// Redraws the chart of one country for its range.
+function drawCountryChart(code) {
+    const { chart } = charts.get(code);
+    const { min, max } = visibleRange(chart, CHART_SPAN);
+    chart.data.datasets[0].data = downsample(countrySeries.points(code, min, max), MAX_CHART_POINTS);
+    chart.options.scales.x.min = min;
+    chart.options.scales.x.max = max;
+    chart.update();
+}
 
-        chart.update();
+// Starts the chart history over for the playback on screen, the selected
+// source and the filters: its packets are counted again for the traffic
+// chart, and the country series are sampled again from its first packet.
+function resetChartHistory() {
+    trafficSeries.clear();
+    for (const { time, packet, source } of playback.between(-Infinity, Infinity)) {
+        countTraffic(time, packet, source);
     }
+    countrySeries.clear();
+    chartSecond = null;
 }
 
 let scene, camera, renderer, earth, controls;
-let activeDots = [];  // Array to store currently visible dots
+
+// Maps coordinates to the scene. Switching it morphs the globe into a flat map
+// and back, and every layer is placed through it.
+const projection = createProjection('globe');
+let cameraGoal = null;  // where the camera is flying to after a view switch
+let dotLayer;  // Instanced layer that holds the currently visible dots
+let arcLayer;  // Arcs from packet origins to our destination sites
+let heatmapLayer;  // Packet density projected onto the globe
+let binLayer;  // "Skyline" columns of packet counts per region
+let dayNight;  // Day/night shading of the earth, following the packet timestamps
+let countryLayer;  // Country borders and the choropleth fill
+let clusterLayer;  // Merges nearby dots into cluster markers when zoomed out
+
+// Seconds of kept packets that are drawn into the heatmap again after a seek
+const HEAT_HISTORY = 60;
+
+// When arcs are enabled, every packet draws an arc from its origin to one of
+// the sites in config.destinations.
+let arcsEnabled = true;
+
+// Animation time in seconds: the playback position, counted from timeOrigin
+// so that it fits the float precision of the shaders. Dots store the value at
+// which they were born and every fade, pulse and expiry is computed from it
+// in the render loop, so all of them follow the packet Timestamps.
+const clock = new THREE.Clock();
+let sceneTime = 0;
+let timeOrigin = null;  // packet time (ms) at sceneTime 0
 let tooltip = document.getElementById('tooltip');
 let countryTable = document.getElementById('countryTable');
 
-// A counter that indicates which packet we are going to request next.
-let nextIndex = 0;
+// Backend URLs, transport, headers and polling cadence, from config.json and
+// the URL query (see config.js).
+const config = await loadConfig();
+
+// Resolves the country of an IP: the bundled database first, then the
+// remote ipinfo.io API when a token is configured.
+const geoResolver = createResolverChain([
+    createOfflineResolver('assets/geoip/ipv4-country.csv'),
+    ...(config.ipinfoToken ? [createIpinfoResolver({ token: config.ipinfoToken })] : [])
+]);
+
+// Caches the resolver answers and limits how many lookups run at once, so
+// repeated IPs and bursts of packets do not hammer the remote API.
+const enrichment = createEnrichment(geoResolver, { cacheSize: 5000, concurrency: 4, failureTtl: 60000 });
+
+// Finds the country from the packet coordinates, using the country shapes
+// once they are loaded. The IP lookup is only needed for points it cannot
+// place, e.g. in the sea or before the shapes arrive.
+const reverseGeocoder = createReverseGeocoder();
+
+// Packets that are shown: only suspicious ones, and/or only those from one
+// country (ISO code, empty for all). Over the websocket they are also sent
+// upstream, so the receiver does not send what would be dropped anyway.
+const packetFilters = { suspicious: false, country: "" };
+
+// Received packets wait here and are drawn a few per frame.
+const renderQueue = createRenderQueue(({ packet, source, time }) => plotPacket(packet, source, time));
+
+// Every received packet is kept, so the globe can be paused, rewound and
+// played faster. The playback hands packets to the render queue once its
+// position reaches them, which while live is config.reorderTolerance ms
+// behind the newest packet (see playback.js).
+const livePlayback = createPlayback({
+    onPacket: (packet, source, time) => renderQueue.push({ packet, source, time }),
+    timeOf: packetTime,
+    tolerance: config.reorderTolerance,
+    window: config.windowLength
+});
+let playback = livePlayback;  // the playback on screen, a replay's while one runs
+
+// Packets of all receivers are merged by their Timestamp before they are
+// kept, waiting at most config.reorderDelay ms for a slower receiver.
+const mergeBuffer = createMergeBuffer({
+    sources: config.sources.map(source => source.id),
+    onPacket: (packet, source) => {
+        // counted at the time the playback keeps it at, like resetChartHistory() does
+        const time = livePlayback.add(packet, source);
+        if (playback === livePlayback) countTraffic(time, packet, source);
+    },
+    timeOf: packetTime,
+    maxDelay: config.reorderDelay,
+    capacity: config.reorderCapacity
+});
+
+// One receiver per configured source, each with its own transport, cursor
+// and connection health. Polling waits while the queues are full.
+const receivers = config.sources.map(source => createReceiver(source, {
+    onPacket: packet => mergeBuffer.push(source.id, packet),
+    isBusy: () => renderQueue.length + mergeBuffer.length > source.batchSize,
+    filters: packetFilters
+}));
+
+// With several receivers, dots get a ring in the color of their source and
+// the country table and charts can be limited to one source.
+const multipleSources = receivers.length > 1;
+let selectedSource = null;  // source id, or null for all
+
+// A CSV capture dropped on the page is replayed instead of the receivers:
+// { name, playback, error }, null while live. A file that cannot be read
+// leaves the replay playing before it (if any) and sets the error.
+let replay = null;
 
 // Initialize the scene and start the animation loop.
 init();
 animate();
 
-// Fetch a new packet every 100ms 
-setInterval(fetchAndPlot, 100); 
+// Start receiving packets
+receivers.forEach(receiver => receiver.start());
+
+// Add a chart point for every second of packet time
+setInterval(updateCountryCharts, 250);
+
+// Redraw the traffic chart as the playback moves
+setInterval(updateTrafficChart, 250);
 
 // Update the country table every second
 setInterval(updateCountryTable, 100);
 
+// Repaint the choropleth every second
+setInterval(updateChoropleth, 1000);
+
+// Regroup the clusters four times a second
+setInterval(updateClusters, 250);
+
+// Refresh the lookup counters every second
+setInterval(updateEnrichmentStats, 1000);
+
+// Refresh the ingest status every second
+setInterval(updateIngestStatus, 1000);
+
+// Refresh the connection banner and its countdown
+setInterval(updateConnectionBanner, 250);
+
+// Move the timeline along with the playback
+setInterval(updatePlaybackBar, 250);
+
 
 
 
@@ -107,7 +548,11 @@ function init() {
     const earthMaterial = new THREE.MeshPhongMaterial({
         map: textureLoader.load('https://threejs.org/examples/textures/planets/earth_atmos_2048.jpg'),
     });
+    dayNight = createDayNightShading(earthMaterial, {
+        nightMap: textureLoader.load('https://threejs.org/examples/textures/planets/earth_lights_2048.png')
+    });
     earth = new THREE.Mesh(new THREE.SphereGeometry(1, 64, 64), earthMaterial);
+    earth.frustumCulled = false;
     scene.add(earth);
 
     // Lighting to illuminate the globe
@@ -116,6 +561,23 @@ function init() {
     scene.add(light);
     scene.add(new THREE.AmbientLight(0x222222));
 
+    // All packet dots are drawn by one instanced mesh
+    dotLayer = createDotLayer(scene, {
+        projection,
+        lifetime: config.windowLength / 1000,
+        onRemove: dot => binLayer.remove(dot)
+    });
+    arcLayer = createArcLayer(scene, { destinations: config.destinations, projection });
+    heatmapLayer = createHeatmapLayer(scene, { projection });
+    binLayer = createBinLayer(scene, { projection });
+    clusterLayer = createClusterLayer(scene, { projection, dotLayer });
+
+    // Country borders from the bundled GeoJSON
+    countryLayer = createCountryLayer(scene, { projection });
+    countryLayer.load('assets/countries.geojson')
+        .then(features => reverseGeocoder.setFeatures(features))
+        .catch(err => console.error("Error loading country borders:", err));
+
     // Orbit Controls for interaction 
     controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
@@ -132,21 +594,160 @@ function init() {
 
     // Set up mousemove events to display tooltips when hovering over dots
     window.addEventListener("mousemove", onMouseMove);
+
+    // Layer toggles in the bottom-left panel
+    document.getElementById('viewMode').addEventListener('change', event => {
+        setViewMode(event.target.value);
+    });
+    document.getElementById('toggleArcs').addEventListener('change', event => {
+        arcsEnabled = event.target.checked;
+        arcLayer.setVisible(arcsEnabled);
+    });
+    document.getElementById('toggleHeatmap').addEventListener('change', event => {
+        heatmapLayer.setVisible(event.target.checked);
+    });
+    document.getElementById('heatmapRadius').addEventListener('input', event => {
+        heatmapLayer.setRadius(Number(event.target.value));
+    });
+    document.getElementById('heatmapRamp').addEventListener('change', event => {
+        heatmapLayer.setRamp(HEATMAP_RAMPS[event.target.value]);
+    });
+    document.getElementById('toggleDayNight').addEventListener('change', event => {
+        dayNight.setEnabled(event.target.checked);
+    });
+    document.getElementById('toggleBorders').addEventListener('change', event => {
+        countryLayer.setOutlinesVisible(event.target.checked);
+    });
+    document.getElementById('toggleChoropleth').addEventListener('change', event => {
+        countryLayer.setFillVisible(event.target.checked);
+        document.getElementById('choroplethLegend').style.display = event.target.checked ? "block" : "none";
+        updateChoropleth();
+    });
+    document.getElementById('choroplethMetric').addEventListener('change', updateChoropleth);
+    document.getElementById('choroplethScale').addEventListener('change', event => {
+        countryLayer.setScale(CHOROPLETH_SCALES[event.target.value]);
+        updateChoropleth();
+    });
+    document.getElementById('toggleClusters').addEventListener('change', event => {
+        clusterLayer.setEnabled(event.target.checked);
+    });
+    document.getElementById('toggleColumns').addEventListener('change', event => {
+        binLayer.setVisible(event.target.checked);
+    });
+
+    document.getElementById('reconnectNow').addEventListener('click', () => {
+        receivers.forEach(receiver => receiver.retryNow());
+    });
+
+    // the source selector only matters with more than one receiver
+    const sourceFilter = document.getElementById('sourceFilter');
+    receivers.forEach(({ id, name }) => sourceFilter.add(new Option(name, id)));
+    sourceFilter.style.display = multipleSources ? "block" : "none";
+    sourceFilter.addEventListener('change', event => {
+        selectedSource = event.target.value === "" ? null : Number(event.target.value);
+        updateCountryTable();
+        // the charts show the whole history of the selected source
+        resetChartHistory();
+        updateCountryCharts();
+        updateTrafficChart();
+    });
+
+    document.getElementById('stopReplay').addEventListener('click', stopReplay);
+
+    // traffic chart at the top right
+    trafficChart = createTrafficChart(document.getElementById('trafficPanel'));
+    document.getElementById('trafficBin').addEventListener('change', updateTrafficChart);
+    document.getElementById('trafficStacked').addEventListener('change', event => {
+        trafficChart.options.scales.x.stacked = event.target.checked;
+        trafficChart.options.scales.y.stacked = event.target.checked;
+        trafficChart.update();
+    });
+
+    // country charts on the right, and the picker that adds them
+    renderCountryCharts();
+    const chartPicker = document.getElementById('chartPicker');
+    chartPicker.addEventListener('focus', updateChartPicker);
+    chartPicker.addEventListener('pointerdown', updateChartPicker);
+    chartPicker.addEventListener('change', () => {
+        if (chartPicker.value) setChartCountries([...chartCountries, chartPicker.value]);
+        chartPicker.value = "";
+    });
+
+    // playback bar (bottom-center)
+    document.getElementById('playPause').addEventListener('click', () => {
+        if (playback.playing) {
+            playback.pause();
+        } else {
+            playback.play();
+        }
+        updatePlaybackBar();
+    });
+    document.getElementById('playbackSpeed').addEventListener('change', event => {
+        playback.setSpeed(Number(event.target.value));
+    });
+    document.getElementById('timeline').addEventListener('input', event => {
+        seekTo(Number(event.target.value));
+        updatePlaybackBar();
+    });
+    // the live edge runs at the pace the packets arrive
+    document.getElementById('goLive').addEventListener('click', () => {
+        document.getElementById('playbackSpeed').value = "1";
+        playback.setSpeed(1);
+        playback.play();
+        seekTo(playback.end);
+        updatePlaybackBar();
+    });
+
+    // dropping a CSV capture anywhere on the page replays it
+    const dropOverlay = document.getElementById('dropOverlay');
+    window.addEventListener('dragover', event => {
+        event.preventDefault();
+        dropOverlay.style.display = "flex";
+    });
+    dropOverlay.addEventListener('dragleave', () => {
+        dropOverlay.style.display = "none";
+    });
+    window.addEventListener('drop', event => {
+        event.preventDefault();
+        dropOverlay.style.display = "none";
+        const file = event.dataTransfer.files[0];
+        if (file) startReplay(file);
+    });
+
+    document.getElementById('filterSuspicious').addEventListener('change', updateFilters);
+    document.getElementById('filterCountry').addEventListener('change', updateFilters);
 }
 
-// Converts latitude and longitude to a 3D vector on a sphere.
-// The radius is set slightly larger than 1 to "lift" the dots.
-function latLonToVector3(lat, lon, radius = 1.01) {
-    const phi = (90 - lat) * (Math.PI / 180);
-    const theta = (lon + 180) * (Math.PI / 180);
-    return new THREE.Vector3(
-        -radius * Math.sin(phi) * Math.cos(theta),
-        radius * Math.cos(phi),
-        radius * Math.sin(phi) * Math.sin(theta)
-    );
+// Switches between the globe and the flat maps ('globe', 'equirectangular'
+// or 'mercator'). The morph itself is played by the render loop.
+function setViewMode(mode) {
+    projection.setMode(mode);
+
+    // the flat map is looked at from the front and can only be panned and zoomed
+    const flat = projection.isFlat;
+    controls.enableRotate = !flat;
+    controls.maxDistance = flat ? 8 : 5;
+    controls.target.set(0, 0, 0);
+    cameraGoal = new THREE.Vector3(0, 0, flat ? 4.5 : 3);
+}
+
+// Moves everything placed with the projection to its current state.
+function reprojectScene() {
+    projection.projectSphere(earth.geometry);
+    heatmapLayer.reproject();
+    countryLayer.reproject();
+    dotLayer.reproject();
+    arcLayer.reproject();
+    clusterLayer.reproject();
 }
 
 
+// Escapes text for use in HTML. Everything written with innerHTML that comes
+// from packets, the configuration or a receiver goes through it.
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
 // Converts a two-letter country code to an emoji flag (used for country table).
 function isoToFlagEmoji(isoCode) {
     if (!isoCode || isoCode.length !== 2) return "";
@@ -156,77 +757,217 @@ function isoToFlagEmoji(isoCode) {
 }
 
 
-// gets name and code from ip using specific api
-async function getCountryFromIP(ip) {
-    try {
-        const res = await fetch(`https://api.ipinfo.io/lite/${ip}?token=75b9299eb7bc80`);
-        if (!res.ok) throw new Error("Network response was not ok");
-        const geoData = await res.json();
-
-        return {
-            country: geoData.country || "Unknown",         // full name
-            country_code: geoData.country_code || "XX"     // 2-letter ISO
-        };
-    } catch (err) {
-        console.error("Error fetching country:", err);
-        return {
-            country: "Unknown",
-            country_code: "XX"
-        };
-    } 
-
+// gets name and code from ip using the configured resolvers, through the cache
+function getCountryFromIP(ip) {
+    return enrichment.lookup(ip);
 }
 
 
 // Plots a dot on the globe using the provided latitude, longitude, and additional data.
-function plotDot(lat, lon, ip, suspicious) {
-    const dotGeometry = new THREE.SphereGeometry(0.01, 8, 8);
-    const color = suspicious === 1 ? 0xff0000 : 0x00ff00;
-    const dotMaterial = new THREE.MeshBasicMaterial({ color });
-    const dot = new THREE.Mesh(dotGeometry, dotMaterial);
-    dot.position.copy(latLonToVector3(lat, lon));
-
-    dot.userData = { ip, suspicious };
+// The dot is born at `time` (packet time in ms), so one drawn after its time
+// is already as far along as it would be by now.
+function plotDot(lat, lon, ip, suspicious, source, time) {
+    const born = sceneSeconds(time);
+    const marker = multipleSources && source !== null ? receivers[source].color : undefined;
+    const dot = dotLayer.add(lat, lon, { ip, suspicious, source, marker }, born);
+    if (arcsEnabled) {
+        arcLayer.add(lat, lon, { ip, suspicious }, born);
+    }
+    heatmapLayer.add(lat, lon, 1, Math.max(0, sceneTime - born));
+    binLayer.add(dot);
 
-    scene.add(dot);
-    activeDots.push(dot);
+    const place = reverseGeocoder.lookup(lat, lon);
+    if (place) {
+        dot.country = place.country;
+        dot.country_code = place.country_code;
+        return;
+    }
 
     getCountryFromIP(ip).then(({ country, country_code }) => {
-        dot.userData.country = country;
-        dot.userData.country_code = country_code;
+        dot.country = country;
+        dot.country_code = country_code;
     });
+}
+
 
-    setTimeout(() => {
-        scene.remove(dot);
-        activeDots = activeDots.filter(d => d !== dot);
-    }, 10000);
+// Shows one packet received from the receiver with the id `source` (null
+// for a replayed capture), played at `time` (packet time in ms).
+function plotPacket(packet, source, time) {
+    if (!matchesFilters(packet)) return;
+    plotDot(packet.Latitude, packet.Longitude, packet.ip, packet.suspicious, source, time);
 }
 
 
-// Fetches one packet from the backend using the next available index.
-async function fetchAndPlot() {
-    try {
-        const res = await fetch(`http://localhost:5001/get_data/${nextIndex}`);
-        if (res.status === 200) {
-            const packet = await res.json();
-            plotDot(packet.Latitude, packet.Longitude, packet.ip, packet.suspicious);
-            nextIndex++;  // Increment counter for the next request
-        } else {
-            console.log("No new packet available:", await res.json());
+// Converts packet time (ms) to the animation time of the scene.
+function sceneSeconds(time) {
+    return (time - timeOrigin) / 1000;
+}
+
+
+// Shows the state at `time` (packet time in ms): the globe, the country
+// table and the charts are cleared and drawn again from the packets the
+// playback kept, as they were at that moment.
+function seekTo(time) {
+    renderQueue.clear();
+    playback.seek(time);
+    dotLayer.clear();
+    arcLayer.clear();
+    heatmapLayer.clear();
+    binLayer.clear();
+
+    // a fresh origin keeps the scene times small after a long jump
+    const position = playback.position;
+    timeOrigin = position;
+    sceneTime = 0;
+    if (position !== null) {
+        for (const { time, packet, source } of playback.between(position - HEAT_HISTORY * 1000, position)) {
+            if (position - time < config.windowLength) {
+                plotPacket(packet, source, time);
+            } else if (matchesFilters(packet)) {
+                // gone from the globe, but still warm in the heatmap
+                heatmapLayer.add(packet.Latitude, packet.Longitude, 1, (position - time) / 1000);
+            }
         }
+    }
+
+    updateCountryCharts();
+    updateTrafficChart();
+    updateCountryTable();
+    updateChoropleth();
+}
+
+
+// True when the dot counts in the country table and charts for the
+// selected source.
+function inSelectedSource(dot) {
+    return selectedSource === null || dot.source === selectedSource;
+}
+
+
+// Checks a packet against packetFilters. The country comes from the
+// coordinates, so while a country is selected, packets that can only be
+// placed by their IP are left out.
+function matchesFilters(packet) {
+    if (packetFilters.suspicious && packet.suspicious !== 1) return false;
+    if (packetFilters.country) {
+        const place = reverseGeocoder.lookup(packet.Latitude, packet.Longitude);
+        if (!place || place.country_code !== packetFilters.country) return false;
+    }
+    return true;
+}
+
+
+// Applies the filters from the controls, and passes them on to the receivers
+// that use the websocket.
+function updateFilters() {
+    packetFilters.suspicious = document.getElementById('filterSuspicious').checked;
+    packetFilters.country = document.getElementById('filterCountry').value.trim().toUpperCase();
+    receivers.forEach(receiver => receiver.setFilters(packetFilters));
+    resetChartHistory();
+    updateCountryCharts();
+    updateTrafficChart();
+}
+
+
+// Replays a CSV capture in place of the live receivers. The capture gets a
+// playback of its own, so it can be paused and scrubbed like the live
+// packets, and goes through the same queue and plotDot.
+async function startReplay(file) {
+    let packets;
+    try {
+        packets = parsePackets(await file.text());
+        if (packets.length === 0) throw new Error("No packets in the file");
     } catch (err) {
-        console.error("Fetch failed:", err);
+        console.error("Could not replay the file:", err);
+        const error = `${file.name}: ${err.message}`;
+        replay = replay && replay.playback ? { ...replay, error } : { name: file.name, playback: null, error };
+        return;
     }
+
+    receivers.forEach(receiver => receiver.stop());
+    livePlayback.pause();
+
+    const replayPlayback = createPlayback({
+        onPacket: (packet, source, time) => renderQueue.push({ packet, source, time }),
+        timeOf: packetTime,
+        window: config.windowLength
+    });
+    replayPlayback.pause();
+    packets.forEach(packet => replayPlayback.add(packet, null));
+    replayPlayback.setSpeed(Number(document.getElementById('playbackSpeed').value));
+
+    replay = { name: file.name, playback: replayPlayback, error: null };
+    playback = replayPlayback;
+    resetChartHistory();
+    seekTo(replayPlayback.start);
+    replayPlayback.play();
+    updatePlaybackBar();
 }
 
-// The animation loop updates controls and renders the scene continuously.
+
+// Ends the replay and goes back to the live packets. The receivers continue
+// after the last packet they delivered.
+function stopReplay() {
+    if (!replay) return;
+    replay = null;
+    if (playback === livePlayback) return;
+
+    playback = livePlayback;
+    livePlayback.setSpeed(Number(document.getElementById('playbackSpeed').value));
+    livePlayback.play();
+    resetChartHistory();
+    seekTo(livePlayback.end);
+    receivers.forEach(receiver => receiver.start());
+    updatePlaybackBar();
+}
+
+
+// The animation loop advances the dot animations, updates controls and renders the scene continuously.
 function animate() {
     requestAnimationFrame(animate);
+    const delta = clock.getDelta();
+    playback.update(delta);
+    if (playback.position !== null) {
+        if (timeOrigin === null) timeOrigin = playback.position;
+        sceneTime = sceneSeconds(playback.position);
+    }
+
+    if (projection.update(delta)) {
+        reprojectScene();
+    }
+    // the sun follows the replayed packets, not the wall clock
+    if (dayNight.enabled && playback.position !== null) {
+        dayNight.setTime(playback.position);
+        updateSunLabel();
+    }
+    if (cameraGoal) {
+        camera.position.lerp(cameraGoal, 1 - Math.exp(-4 * delta));
+        if (camera.position.distanceTo(cameraGoal) < 1e-3) cameraGoal = null;
+    }
+    mergeBuffer.flush();
+    renderQueue.drain();
+    dotLayer.update(sceneTime);
+    arcLayer.update(sceneTime);
+    heatmapLayer.update(sceneTime);
+    binLayer.update(delta);
     controls.update();
     renderer.render(scene, camera);
 }
 
-// Displays tooltips when hovering over a plotted dot.
+// Shows the packet time the sun is placed for, in UTC.
+function updateSunLabel() {
+    const label = new Date(playback.position).toISOString().slice(11, 16);
+    const { lat, lon } = dayNight.sun;
+    document.getElementById('sunTime').textContent =
+        `${label} UTC, sun over ${formatCoordinate(lat, "N", "S")}, ${formatCoordinate(lon, "E", "W")}`;
+}
+
+// Regroups the dot clusters for the current zoom.
+function updateClusters() {
+    clusterLayer.update(camera.position.distanceTo(controls.target));
+}
+
+// Displays tooltips when hovering over a plotted dot, a cluster or a skyline column.
 function onMouseMove(event) {
     const raycaster = new THREE.Raycaster();
     const mouse = new THREE.Vector2(
@@ -234,43 +975,95 @@ function onMouseMove(event) {
         -(event.clientY / window.innerHeight) * 2 + 1
     );
     raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(activeDots);
-    if (intersects.length > 0) {
-        const { ip, suspicious, country, country_code } = intersects[0].object.userData;
+    const dot = dotLayer.pick(raycaster);
+    if (dot) {
+        const { ip, suspicious, country, country_code, source } = dot;
         const flag = isoToFlagEmoji(country_code);
 
         tooltip.innerHTML = `
-            <b>IP:</b> ${ip}<br>
-            <b>Country:</b> ${flag} ${country || "Loading..."}<br>
+            <b>IP:</b> ${escapeHtml(ip)}<br>
+            <b>Country:</b> ${flag} ${country ? escapeHtml(country) : "Loading..."}<br>
+            ${multipleSources && source !== null ? `<b>Source:</b> ${escapeHtml(receivers[source].name)}<br>` : ""}
             <b>Suspicious:</b> ${suspicious === 1 ? "Yes" : "No"}
         `;
-        tooltip.style.display = "block";
-        tooltip.style.left = `${event.clientX + 10}px`;
-        tooltip.style.top = `${event.clientY + 10}px`;
-    } else {
-        tooltip.style.display = "none";
+        showTooltip(event);
+        return;
+    }
+
+    const cluster = clusterLayer.pick(raycaster);
+    if (cluster) {
+        const shown = cluster.members.slice(0, 10).map(({ ip, suspicious, country_code }) =>
+            `${isoToFlagEmoji(country_code)} ${escapeHtml(ip)}${suspicious === 1 ? " ⚠" : ""}`
+        );
+        if (cluster.members.length > shown.length) {
+            shown.push(`... and ${cluster.members.length - shown.length} more`);
+        }
+        tooltip.innerHTML = `
+            <b>Cluster:</b> ${cluster.members.length} packets, ${cluster.suspicious} suspicious<br>
+            ${shown.join("<br>")}
+        `;
+        showTooltip(event);
+        return;
+    }
+
+    const bin = binLayer.pick(raycaster);
+    if (bin) {
+        const share = Math.round(100 * bin.suspicious / bin.count);
+        tooltip.innerHTML = `
+            <b>Region:</b> ${formatCoordinate(bin.lat, "N", "S")}, ${formatCoordinate(bin.lon, "E", "W")} (${bin.size}°)<br>
+            <b>Packets:</b> ${bin.count}<br>
+            <b>Suspicious:</b> ${bin.suspicious} (${share}%)
+        `;
+        showTooltip(event);
+        return;
     }
+
+    tooltip.style.display = "none";
 }
 
+// Places the tooltip next to the mouse pointer.
+function showTooltip(event) {
+    tooltip.style.display = "block";
+    tooltip.style.left = `${event.clientX + 10}px`;
+    tooltip.style.top = `${event.clientY + 10}px`;
+}
+
+// Formats a latitude or longitude as e.g. "55.8°N".
+function formatCoordinate(value, positive, negative) {
+    return `${Math.abs(value).toFixed(1)}°${value >= 0 ? positive : negative}`;
+}
 
-// Updates the left-side table to list the top countries by count of visible dots.
-// This function recalculates the counts from the currently active dots.
-function updateCountryTable() {
-    const counts = {}; 
 
-    activeDots.forEach(dot => {
-        const name = dot.userData.country;
-        const code = dot.userData.country_code;
+// Counts the currently active dots of the selected source per country. Returns a Map from the ISO
+// country code to { name, count, suspicious }. Both the country table and the
+// choropleth are built from this.
+function aggregateByCountry() {
+    const counts = new Map();
+
+    dotLayer.active.forEach(dot => {
+        if (!inSelectedSource(dot)) return;
+        const name = dot.country;
+        const code = dot.country_code;
 
         if (name && code && code !== "XX") {
-            if (!counts[name]) {
-                counts[name] = { code: code, count: 0 };
+            if (!counts.has(code)) {
+                counts.set(code, { name, count: 0, suspicious: 0 });
             }
-            counts[name].count += 1;
+            const entry = counts.get(code);
+            entry.count += 1;
+            if (dot.suspicious === 1) entry.suspicious += 1;
         }
     });
 
-    const sorted = Object.entries(counts).sort((a, b) => b[1].count - a[1].count);
+    return counts;
+}
+
+// Updates the left-side table to list the top countries by count of visible dots.
+// This function recalculates the counts from the currently active dots.
+function updateCountryTable() {
+    const sorted = [...aggregateByCountry()]
+        .map(([code, { name, count }]) => [name, { code, count }])
+        .sort((a, b) => b[1].count - a[1].count);
 
     let html = "<table>";
     if (sorted.length === 0) {
@@ -281,7 +1074,7 @@ function updateCountryTable() {
             html += `
                 <tr>
                     <td>${flagEmoji}</td>
-                    <td>${name}</td>
+                    <td>${escapeHtml(name)}</td>
                     <td>${count}</td>
                 </tr>
             `;
@@ -292,9 +1085,130 @@ function updateCountryTable() {
 }
 
 
+// Repaints the choropleth from the country aggregation, either by packet count
+// or by the share of suspicious packets, and updates its legend.
+function updateChoropleth() {
+    if (!document.getElementById('toggleChoropleth').checked) return;
 
+    const metric = document.getElementById('choroplethMetric').value;
+    const values = new Map();
+    aggregateByCountry().forEach(({ count, suspicious }, code) => {
+        values.set(code, metric === "ratio" ? suspicious / count : count);
+    });
+    const max = countryLayer.setValues(values, metric === "ratio" ? 1 : undefined);
 
+    // the legend shows the same scale as the fill
+    const scale = CHOROPLETH_SCALES[document.getElementById('choroplethScale').value];
+    const stops = scale.map((_, i) => colorAt(scale, i / (scale.length - 1)));
+    document.getElementById('choroplethBar').style.background = `linear-gradient(to right, ${stops.join(", ")})`;
+    document.getElementById('choroplethMin').textContent = metric === "ratio" ? "0%" : "0";
+    document.getElementById('choroplethMax').textContent = metric === "ratio" ? "100%" : String(max);
+}
 
 
+// Shows the cache counters of the country lookups under the country table.
+function updateEnrichmentStats() {
+    const { hits, misses, coalesced, failures } = enrichment.stats;
+    const total = hits + misses + coalesced;
+    const hitRate = total > 0 ? Math.round((hits + coalesced) / total * 100) : 0;
+    document.getElementById('enrichmentStats').textContent =
+        `Lookups: ${hits} hits, ${misses} misses (${hitRate}% cached), ` +
+        `${failures} failed, ${enrichment.pending} pending, ${enrichment.cacheSize} cached IPs`;
+}
+
+
+// Shows for every receiver its state, how far behind the frontend is, how
+// fast packets arrive and the last transport error.
+function updateIngestStatus() {
+    const lines = receivers.map(receiver => {
+        const { lastError, lastErrorTime } = receiver.ingest.stats;
+        let line = `<span style="color: ${escapeHtml(receiver.color)}">●</span> `;
+        if (multipleSources) line += `${escapeHtml(receiver.name)} (${receiver.state}) · `;
+        if (receiver.backlog !== null) line += `Backlog: ${receiver.backlog} · `;
+        line += `${receiver.ingest.rate.toFixed(1)} packets/s`;
+        if (lastError) {
+            line += ` · Last error (${new Date(lastErrorTime).toLocaleTimeString()}): ${escapeHtml(lastError)}`;
+        }
+        return `<div>${line}</div>`;
+    });
+    lines.push(`<div>Waiting to be drawn: ${mergeBuffer.length + renderQueue.length} · Late: ${playback.late}</div>`);
+    document.getElementById('ingestStatus').innerHTML = lines.join("");
+}
+
 
+// Shows the connection state in the banner: nothing while packets are
+// flowing, a note when the receivers are caught up, and the errors with a
+// countdown to the next attempt while a receiver cannot be reached.
+// With several receivers there is a line for every one that is not live.
+function updateConnectionBanner() {
+    const banner = document.getElementById('connectionBanner');
+    const lines = [];
+    const states = new Set();
 
+    document.getElementById('stopReplay').style.display = replay ? "inline-block" : "none";
+    if (replay) {
+        const { name, playback, error } = replay;
+        let text = error ? `Could not replay ${error}` : "";
+        if (playback) {
+            if (text) text += "\n";
+            text += playback.played < playback.length
+                ? `Replaying ${name}: ${playback.played} / ${playback.length} packets`
+                : `Replay of ${name} finished (${playback.length} packets)`;
+        }
+        banner.className = error ? "error" : "replay";
+        banner.style.display = "block";
+        document.getElementById('connectionText').textContent = text;
+        document.getElementById('reconnectNow').style.display = "none";
+        return;
+    }
+
+    for (const receiver of receivers) {
+        const state = receiver.state;
+        if (state === "live") continue;
+        states.add(state);
+
+        const { error, retryAt } = receiver.connection;
+        let text = "";
+        if (state === "connecting") {
+            text = "Connecting to the receiver...";
+        } else if (state === "caught-up") {
+            text = "Caught up, waiting for new packets";
+        } else {
+            text = state === "offline" ? "Receiver offline" : "Receiver error";
+            if (error) text += `: ${error}`;
+            if (retryAt !== null) {
+                const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+                text += ` · retrying in ${seconds}s`;
+            }
+        }
+        lines.push(multipleSources ? `${receiver.name}: ${text}` : text);
+    }
+
+    // the banner takes the color of the worst state
+    const worst = ["offline", "error", "connecting", "caught-up"].find(state => states.has(state));
+    banner.className = worst || "live";
+    banner.style.display = worst ? "block" : "none";
+    document.getElementById('connectionText').textContent = lines.join("\n");
+    document.getElementById('reconnectNow').style.display =
+        states.has("offline") || states.has("error") ? "inline-block" : "none";
+}
+
+
+// Moves the timeline to the playback position, which it spans from the
+// oldest to the newest kept packet, and shows the time in UTC.
+function updatePlaybackBar() {
+    const { start, end, position, playing, live, speed } = playback;
+    const timeline = document.getElementById('timeline');
+    timeline.disabled = start === null;
+    if (start !== null) {
+        timeline.min = start;
+        timeline.max = end;
+        timeline.value = position;
+    }
+    document.getElementById('playPause').textContent = playing ? "Pause" : "Play";
+    document.getElementById('playbackTime').textContent =
+        position === null ? "--:--:--" : `${new Date(position).toISOString().slice(11, 19)} UTC`;
+    document.getElementById('goLive').classList.toggle('live', live);
+    // the speed drops back to 1 once the playback catches up with the live edge
+    document.getElementById('playbackSpeed').value = String(speed);
+}
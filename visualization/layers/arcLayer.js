@@ -0,0 +1,294 @@
+// importing needed packages
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
+import { PROJECTIONS } from '../geo/projection.js';
+
+const NORMAL_COLOR = new THREE.Color(0x00ff00);
+const SUSPICIOUS_COLOR = new THREE.Color(0xff0000);
+
+// Number of line segments each arc is built from
+const SEGMENTS = 48;
+const VERTICES_PER_ARC = SEGMENTS + 1;
+
+// Share of the arc length that stays visible behind the moving head
+const TAIL_LENGTH = 0.35;
+
+const IMPACT_SIZE = 0.08;
+const IMPACT_DURATION = 0.8;
+const RING_AXIS = new THREE.Vector3(0, 0, 1);
+
+// Every vertex knows how far along its arc it is (aT) and when the arc was
+// launched, so the travelling head and the fading tail are computed here from
+// uTime alone.
+const arcVertexShader = `
+    uniform float uTime;
+    uniform float uTail;
+    attribute float aT;
+    attribute float aBirth;
+    attribute float aTravel;
+    attribute vec3 aColor;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float head = (uTime - aBirth) / aTravel;
+        float behind = head - aT;
+        vColor = aColor;
+        vAlpha = step(0.0, behind) * (1.0 - clamp(behind / uTail, 0.0, 1.0));
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const impactVertexShader = `
+    uniform float uTime;
+    uniform float uImpactDuration;
+    attribute float aBirth;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float progress = (uTime - aBirth) / uImpactDuration;
+        vColor = instanceColor;
+        vAlpha = (1.0 - progress) * step(0.0, progress) * step(progress, 1.0);
+        vec3 scaled = position * clamp(progress, 0.0, 1.0);
+        gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(scaled, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        if (vAlpha <= 0.0) discard;
+        gl_FragColor = vec4(vColor, vAlpha);
+    }
+`;
+
+// Creates the layer that draws great-circle arcs from packet origins to the
+// destination sites, with an impact ring playing where each arc lands.
+// All arcs live in one line buffer of `capacity` arcs that is reused as a
+// ring: a new arc overwrites the oldest one, which is long gone by then.
+// The great circle is computed once per arc on the globe, and every vertex
+// keeps its coordinates so that the arc can follow the projection.
+export function createArcLayer(scene, { capacity = 2000, destinations = [], projection } = {}) {
+    const uniforms = {
+        uTime: { value: 0 },
+        uTail: { value: TAIL_LENGTH },
+        uImpactDuration: { value: IMPACT_DURATION }
+    };
+
+    const vertexCount = capacity * VERTICES_PER_ARC;
+    const positions = new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3);
+    const progress = new THREE.BufferAttribute(new Float32Array(vertexCount), 1);
+    const births = new THREE.BufferAttribute(new Float32Array(vertexCount).fill(-1e9), 1);
+    const travels = new THREE.BufferAttribute(new Float32Array(vertexCount).fill(1), 1);
+    const colors = new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3);
+    const coordinates = new Float32Array(vertexCount * 3);  // lat, lon, altitude per vertex
+    const targets = new Array(capacity).fill(null);         // destination site per arc
+    for (const attribute of [positions, births, travels, colors]) {
+        attribute.setUsage(THREE.DynamicDrawUsage);
+    }
+
+    // each arc is a strip of SEGMENTS line segments, the index never changes
+    const indices = [];
+    for (let arc = 0; arc < capacity; arc++) {
+        const first = arc * VERTICES_PER_ARC;
+        for (let i = 0; i < SEGMENTS; i++) {
+            indices.push(first + i, first + i + 1);
+            progress.setX(first + i, i / SEGMENTS);
+        }
+        progress.setX(first + SEGMENTS, 1);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', positions);
+    geometry.setAttribute('aT', progress);
+    geometry.setAttribute('aBirth', births);
+    geometry.setAttribute('aTravel', travels);
+    geometry.setAttribute('aColor', colors);
+
+    const lines = new THREE.LineSegments(geometry, new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: arcVertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false
+    }));
+    lines.frustumCulled = false;
+    scene.add(lines);
+
+    // impact rings, one slot per arc
+    const impactBirths = new THREE.InstancedBufferAttribute(new Float32Array(capacity).fill(-1e9), 1);
+    impactBirths.setUsage(THREE.DynamicDrawUsage);
+    const impactGeometry = new THREE.RingGeometry(0.7 * IMPACT_SIZE, IMPACT_SIZE, 32);
+    impactGeometry.setAttribute('aBirth', impactBirths);
+    const impacts = new THREE.InstancedMesh(impactGeometry, new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: impactVertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    }), capacity);
+    impacts.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    impacts.setColorAt(0, NORMAL_COLOR);
+    impacts.frustumCulled = false;
+    scene.add(impacts);
+
+    // small static markers so that the targets are visible between attacks
+    const markers = new THREE.Group();
+    scene.add(markers);
+    setDestinations(destinations);
+
+    let nextArc = 0;
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+    const point = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const matrix = new THREE.Matrix4();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3(1, 1, 1);
+
+    // Replaces the destination sites and their markers.
+    function setDestinations(sites) {
+        destinations = sites;
+        markers.clear();
+        for (const site of sites) {
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.012, 12, 12),
+                new THREE.MeshBasicMaterial({ color: 0x00ffff })
+            );
+            marker.userData = site;
+            projection.project(site.lat, site.lon, 0.01, marker.position);
+            markers.add(marker);
+        }
+    }
+
+    // Picks the destination for a packet. The choice is a hash of the IP,
+    // so the same source always hits the same site.
+    function destinationFor(ip) {
+        let hash = 0;
+        for (const char of String(ip)) {
+            hash = (hash * 31 + char.charCodeAt(0)) | 0;
+        }
+        return destinations[Math.abs(hash) % destinations.length];
+    }
+
+    // Launches an arc from the given coordinates at `time` (seconds).
+    function add(lat, lon, { ip, suspicious }, time) {
+        if (destinations.length === 0) return;
+
+        const site = destinationFor(ip);
+        PROJECTIONS.globe.position(lat, lon, 0, start);
+        PROJECTIONS.globe.position(site.lat, site.lon, 0, end);
+        const angle = start.angleTo(end);
+        // too close (or exactly opposite) to build a great circle through
+        if (angle < 1e-3 || angle > Math.PI - 1e-3) return;
+
+        // longer arcs rise higher and take longer to travel
+        const height = 0.5 * angle / Math.PI;
+        const travel = 0.8 + 0.5 * angle;
+        const color = suspicious === 1 ? SUSPICIOUS_COLOR : NORMAL_COLOR;
+
+        const arc = nextArc;
+        nextArc = (nextArc + 1) % capacity;
+
+        const first = arc * VERTICES_PER_ARC;
+        let previousLon = lon;
+        for (let i = 0; i < VERTICES_PER_ARC; i++) {
+            const t = i / SEGMENTS;
+            slerp(start, end, angle, t, point);
+            const pointLat = 90 - Math.acos(Math.min(1, Math.max(-1, point.y))) * 180 / Math.PI;
+            let pointLon = Math.atan2(point.z, -point.x) * 180 / Math.PI - 180;
+            // keep the longitude continuous so that the arc does not jump
+            // across a flat map where it crosses the antimeridian
+            pointLon += 360 * Math.round((previousLon - pointLon) / 360);
+            previousLon = pointLon;
+
+            const vertex = first + i;
+            coordinates[vertex * 3] = pointLat;
+            coordinates[vertex * 3 + 1] = pointLon;
+            coordinates[vertex * 3 + 2] = 0.01 + height * Math.sin(Math.PI * t);
+            placeVertex(vertex);
+            births.setX(vertex, time);
+            travels.setX(vertex, travel);
+            colors.setXYZ(vertex, color.r, color.g, color.b);
+        }
+        for (const attribute of [positions, births, travels, colors]) {
+            attribute.needsUpdate = true;
+        }
+
+        // the impact ring starts when the head reaches the target
+        targets[arc] = site;
+        placeImpact(arc);
+        impacts.setColorAt(arc, color);
+        impactBirths.setX(arc, time + travel);
+        impacts.instanceMatrix.needsUpdate = true;
+        impacts.instanceColor.needsUpdate = true;
+        impactBirths.needsUpdate = true;
+    }
+
+    // Writes the scene position of one arc vertex from its coordinates.
+    function placeVertex(vertex) {
+        projection.project(coordinates[vertex * 3], coordinates[vertex * 3 + 1], coordinates[vertex * 3 + 2], point);
+        positions.setXYZ(vertex, point.x, point.y, point.z);
+    }
+
+    // Writes the instance matrix of the impact ring of an arc.
+    function placeImpact(arc) {
+        const site = targets[arc];
+        projection.project(site.lat, site.lon, 0.01, point);
+        rotation.setFromUnitVectors(RING_AXIS, projection.normal(site.lat, site.lon, normal));
+        matrix.compose(point, rotation, scale);
+        impacts.setMatrixAt(arc, matrix);
+    }
+
+    // Moves all arcs, impacts and markers to the current state of the projection.
+    function reproject() {
+        for (let arc = 0; arc < capacity; arc++) {
+            if (targets[arc] === null) continue;
+            const first = arc * VERTICES_PER_ARC;
+            for (let vertex = first; vertex < first + VERTICES_PER_ARC; vertex++) {
+                placeVertex(vertex);
+            }
+            placeImpact(arc);
+        }
+        positions.needsUpdate = true;
+        impacts.instanceMatrix.needsUpdate = true;
+
+        for (const marker of markers.children) {
+            projection.project(marker.userData.lat, marker.userData.lon, 0.01, marker.position);
+        }
+    }
+
+    // Advances the arc animations to `time` (seconds).
+    function update(time) {
+        uniforms.uTime.value = time;
+    }
+
+    // Ends every arc and impact that is still playing.
+    function clear() {
+        births.array.fill(-1e9);
+        impactBirths.array.fill(-1e9);
+        births.needsUpdate = true;
+        impactBirths.needsUpdate = true;
+    }
+
+    // Shows or hides the whole layer.
+    function setVisible(visible) {
+        lines.visible = visible;
+        impacts.visible = visible;
+        markers.visible = visible;
+    }
+
+    return { add, update, clear, setVisible, setDestinations, reproject };
+}
+
+// Spherical interpolation between two unit vectors that are `angle` apart.
+function slerp(from, to, angle, t, target) {
+    const sin = Math.sin(angle);
+    const a = Math.sin((1 - t) * angle) / sin;
+    const b = Math.sin(t * angle) / sin;
+    return target.copy(from).multiplyScalar(a).addScaledVector(to, b);
+}
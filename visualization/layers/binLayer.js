@@ -0,0 +1,151 @@
+// importing needed packages
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
+
+const NORMAL_COLOR = new THREE.Color(0x00ff00);
+const SUSPICIOUS_COLOR = new THREE.Color(0xff0000);
+
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+const COLUMN_AXIS = new THREE.Vector3(0, 1, 0);
+
+// Tallest column, reached by the busiest bin
+const MAX_HEIGHT = 0.3;
+const MIN_HEIGHT = 0.01;
+
+// Creates the "skyline" layer: packets are counted in lat/lon bins of
+// `binSize` degrees and every non-empty bin is drawn as a hexagonal column
+// standing on the map. Height follows the packet count, color the share of
+// suspicious packets, and heights ease towards new values in update().
+// Columns are placed again on every update, so they follow the projection.
+export function createBinLayer(scene, { binSize = 4, projection } = {}) {
+    const rows = Math.ceil(180 / binSize);
+    const columns = Math.ceil(360 / binSize);
+    const capacity = rows * columns;
+
+    // unit column with its base at the origin, scaled per bin
+    const geometry = new THREE.CylinderGeometry(1, 1, 1, 6);
+    geometry.translate(0, 0.5, 0);
+    const mesh = new THREE.InstancedMesh(geometry, new THREE.MeshPhongMaterial(), capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    for (let i = 0; i < capacity; i++) {
+        mesh.setMatrixAt(i, HIDDEN_MATRIX);
+        mesh.setColorAt(i, NORMAL_COLOR);
+    }
+    mesh.frustumCulled = false;
+    mesh.visible = false;
+    scene.add(mesh);
+
+    const bins = new Map();  // bin index -> { lat, lon, count, suspicious, height }
+    let maxCount = 0;
+    const matrix = new THREE.Matrix4();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const base = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const color = new THREE.Color();
+
+    function binIndex(lat, lon) {
+        const row = Math.min(rows - 1, Math.floor((lat + 90) / binSize));
+        const column = Math.min(columns - 1, Math.floor((lon + 180) / binSize));
+        return row * columns + column;
+    }
+
+    // Counts a packet in its bin.
+    function add({ lat, lon, suspicious }) {
+        const index = binIndex(lat, lon);
+        let bin = bins.get(index);
+        if (!bin) {
+            const row = Math.floor(index / columns);
+            const column = index % columns;
+            bin = {
+                index,
+                lat: -90 + (row + 0.5) * binSize,
+                lon: -180 + (column + 0.5) * binSize,
+                count: 0,
+                suspicious: 0,
+                height: 0
+            };
+            bins.set(index, bin);
+        }
+        bin.count++;
+        if (suspicious === 1) bin.suspicious++;
+        maxCount = Math.max(maxCount, bin.count);
+    }
+
+    // Takes a packet out of its bin again, e.g. when its dot expires.
+    function remove({ lat, lon, suspicious }) {
+        const bin = bins.get(binIndex(lat, lon));
+        if (!bin) return;
+        bin.count = Math.max(0, bin.count - 1);
+        if (suspicious === 1) bin.suspicious = Math.max(0, bin.suspicious - 1);
+    }
+
+    function clear() {
+        for (const bin of bins.values()) {
+            bin.count = 0;
+            bin.suspicious = 0;
+        }
+    }
+
+    // Eases every column towards its target height. `delta` is the time
+    // since the previous frame in seconds.
+    function update(delta) {
+        if (!mesh.visible) return;
+
+        maxCount = 0;
+        for (const bin of bins.values()) {
+            maxCount = Math.max(maxCount, bin.count);
+        }
+
+        const ease = 1 - Math.exp(-6 * delta);
+        for (const bin of bins.values()) {
+            const target = bin.count === 0 ? 0 :
+                MIN_HEIGHT + (MAX_HEIGHT - MIN_HEIGHT) * Math.log1p(bin.count) / Math.log1p(maxCount);
+            bin.height += (target - bin.height) * ease;
+
+            // the column is gone once it has shrunk to nothing
+            if (bin.count === 0 && bin.height < 1e-3) {
+                mesh.setMatrixAt(bin.index, HIDDEN_MATRIX);
+                bins.delete(bin.index);
+                continue;
+            }
+
+            projection.project(bin.lat, bin.lon, 0, base);
+            const radius = binSize * Math.PI / 180 * 0.4 * Math.max(Math.cos(bin.lat * Math.PI / 180), 0.2);
+            rotation.setFromUnitVectors(COLUMN_AXIS, projection.normal(bin.lat, bin.lon, normal));
+            scale.set(radius, bin.height, radius);
+            matrix.compose(base, rotation, scale);
+            mesh.setMatrixAt(bin.index, matrix);
+
+            const share = bin.count > 0 ? bin.suspicious / bin.count : 0;
+            mesh.setColorAt(bin.index, color.copy(NORMAL_COLOR).lerp(SUSPICIOUS_COLOR, share));
+        }
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+        mesh.boundingSphere = null;
+    }
+
+    // Returns the stats of the column under the ray, or null.
+    function pick(raycaster) {
+        if (!mesh.visible) return null;
+        const intersects = raycaster.intersectObject(mesh);
+        for (const hit of intersects) {
+            const bin = bins.get(hit.instanceId);
+            if (bin && bin.count > 0) {
+                return {
+                    lat: bin.lat,
+                    lon: bin.lon,
+                    size: binSize,
+                    count: bin.count,
+                    suspicious: bin.suspicious
+                };
+            }
+        }
+        return null;
+    }
+
+    function setVisible(visible) {
+        mesh.visible = visible;
+    }
+
+    return { mesh, add, remove, clear, update, pick, setVisible };
+}
@@ -0,0 +1,166 @@
+// importing needed packages
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
+
+// Cell size in degrees used for clustering at each zoom level. The first
+// level whose camera distance is exceeded is used; closer than the last one,
+// dots are not clustered at all.
+const ZOOM_LEVELS = [
+    { distance: 4.2, cellSize: 10 },
+    { distance: 3.2, cellSize: 5 },
+    { distance: 2.3, cellSize: 2.5 }
+];
+
+// A cell needs at least this many dots to be merged into a cluster
+const MIN_MEMBERS = 3;
+
+// Largest number of markers shown at once, the biggest clusters win
+const MAX_CLUSTERS = 400;
+
+const LABEL_SIZE = 128;
+
+// Creates the level-of-detail layer that merges nearby dots into labeled
+// cluster markers when the camera is far away. The dots of a cluster are
+// hidden in the dot layer while the cluster is shown, and they come back one
+// by one as the user zooms in and the cells get smaller.
+export function createClusterLayer(scene, { projection, dotLayer } = {}) {
+    const group = new THREE.Group();
+    scene.add(group);
+
+    const markers = [];          // sprite pool, the first `clusters.length` are in use
+    let clusters = [];           // { lat, lon, members, suspicious }
+    let hiddenDots = new Set();  // dots currently merged into a cluster
+    let enabled = true;
+    let cameraDistance = 0;
+
+    // Returns the cell size for the camera distance, or 0 for no clustering.
+    function cellSizeFor(distance) {
+        const level = ZOOM_LEVELS.find(level => distance > level.distance);
+        return level ? level.cellSize : 0;
+    }
+
+    // Regroups the active dots for the given camera distance.
+    function update(distance) {
+        cameraDistance = distance;
+        const cellSize = enabled ? cellSizeFor(distance) : 0;
+
+        const cells = new Map();
+        if (cellSize > 0) {
+            dotLayer.active.forEach(dot => {
+                const key = Math.floor((dot.lat + 90) / cellSize) * 1000 + Math.floor((dot.lon + 180) / cellSize);
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(dot);
+            });
+        }
+
+        clusters = [...cells.values()]
+            .filter(members => members.length >= MIN_MEMBERS)
+            .sort((a, b) => b.length - a.length)
+            .slice(0, MAX_CLUSTERS)
+            .map(members => ({
+                lat: members.reduce((sum, dot) => sum + dot.lat, 0) / members.length,
+                lon: members.reduce((sum, dot) => sum + dot.lon, 0) / members.length,
+                members,
+                suspicious: members.filter(dot => dot.suspicious === 1).length
+            }));
+
+        // hide the dots that went into a cluster, show the ones that left
+        const nextHidden = new Set();
+        for (const cluster of clusters) {
+            for (const dot of cluster.members) {
+                nextHidden.add(dot);
+                if (!hiddenDots.has(dot)) dotLayer.setHidden(dot, true);
+            }
+        }
+        for (const dot of hiddenDots) {
+            if (!nextHidden.has(dot)) dotLayer.setHidden(dot, false);
+        }
+        hiddenDots = nextHidden;
+
+        clusters.forEach((cluster, i) => {
+            const marker = markers[i] || createMarker();
+            drawLabel(marker, cluster);
+            marker.userData.cluster = cluster;
+            marker.visible = true;
+        });
+        for (let i = clusters.length; i < markers.length; i++) {
+            markers[i].visible = false;
+        }
+        reproject();
+    }
+
+    function createMarker() {
+        const canvas = document.createElement('canvas');
+        canvas.width = LABEL_SIZE;
+        canvas.height = LABEL_SIZE;
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const marker = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthWrite: false
+        }));
+        group.add(marker);
+        markers.push(marker);
+        return marker;
+    }
+
+    // Draws a disc with the member count, and the suspicious count below it.
+    function drawLabel(marker, { members, suspicious }) {
+        const label = `${members.length}|${suspicious}`;
+        if (marker.userData.label === label) return;
+
+        const canvas = marker.material.map.image;
+        const context = canvas.getContext('2d');
+        const center = LABEL_SIZE / 2;
+        context.clearRect(0, 0, LABEL_SIZE, LABEL_SIZE);
+
+        // the ring turns red with the share of suspicious members
+        const share = suspicious / members.length;
+        context.beginPath();
+        context.arc(center, center, center - 6, 0, 2 * Math.PI);
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fill();
+        context.lineWidth = 8;
+        context.strokeStyle = `rgb(${Math.round(255 * share)}, ${Math.round(255 * (1 - share))}, 0)`;
+        context.stroke();
+
+        context.fillStyle = 'white';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.font = 'bold 40px Arial, sans-serif';
+        context.fillText(String(members.length), center, suspicious > 0 ? center - 10 : center);
+        if (suspicious > 0) {
+            context.fillStyle = '#ff5555';
+            context.font = 'bold 26px Arial, sans-serif';
+            context.fillText(`${suspicious} ⚠`, center, center + 26);
+        }
+        marker.material.map.needsUpdate = true;
+        marker.userData.label = label;
+    }
+
+    // Moves the markers to the current state of the projection. Markers grow
+    // with the camera distance, so they keep about the same size on screen.
+    function reproject() {
+        clusters.forEach((cluster, i) => {
+            const marker = markers[i];
+            projection.project(cluster.lat, cluster.lon, 0.03, marker.position);
+            const size = cameraDistance * 0.02 * (1 + Math.log10(cluster.members.length));
+            marker.scale.set(size, size, 1);
+        });
+    }
+
+    // Returns the cluster under the ray, or null.
+    function pick(raycaster) {
+        const visible = markers.filter(marker => marker.visible);
+        const intersects = raycaster.intersectObjects(visible, false);
+        return intersects.length > 0 ? intersects[0].object.userData.cluster : null;
+    }
+
+    // Turns clustering on or off; when off, every dot is shown on its own.
+    function setEnabled(value) {
+        enabled = value;
+        update(cameraDistance);
+    }
+
+    return { update, reproject, pick, setEnabled };
+}
@@ -0,0 +1,155 @@
+// importing needed packages
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
+
+// Color scales for the choropleth, as evenly spaced color stops from the
+// lowest to the highest value.
+export const CHOROPLETH_SCALES = {
+    reds: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'],
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    blues: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c']
+};
+
+// Size of the canvas the choropleth is painted on
+const TEXTURE_WIDTH = 2048;
+const TEXTURE_HEIGHT = 1024;
+
+// Altitude of the outlines and the fill, just above the earth
+const ALTITUDE = 0.002;
+
+// Creates the country layer: the outlines of all countries from the bundled
+// GeoJSON, and a choropleth that fills every country by a value. The fill is
+// painted on an equirectangular canvas shown on a sphere around the earth,
+// like the heatmap, so both follow the projection the same way.
+export function createCountryLayer(scene, { projection, scale = CHOROPLETH_SCALES.reds } = {}) {
+    let features = [];
+
+    // outlines: a LineSegments whose vertex coordinates are kept for reprojection
+    const outlines = new THREE.LineSegments(
+        new THREE.BufferGeometry(),
+        new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.35 })
+    );
+    outlines.frustumCulled = false;
+    scene.add(outlines);
+    let outlineCoordinates = new Float32Array(0);  // lat, lon per vertex
+
+    const canvas = document.createElement('canvas');
+    canvas.width = TEXTURE_WIDTH;
+    canvas.height = TEXTURE_HEIGHT;
+    const context = canvas.getContext('2d');
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const fill = new THREE.Mesh(
+        new THREE.SphereGeometry(1 + ALTITUDE, 64, 64),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: 0.7, depthWrite: false })
+    );
+    fill.visible = false;
+    scene.add(fill);
+
+    const point = new THREE.Vector3();
+
+    // Loads the country shapes and builds the outlines.
+    async function load(url) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`Could not load ${url}: ${res.status}`);
+        const geojson = await res.json();
+        features = geojson.features;
+
+        const coordinates = [];
+        for (const ring of rings()) {
+            for (let i = 1; i < ring.length; i++) {
+                const [lon0, lat0] = ring[i - 1];
+                const [lon1, lat1] = ring[i];
+                // edges along the antimeridian and the pole only exist because
+                // the shapes were cut there, they are not real borders
+                if (Math.abs(lon0) === 180 && lon0 === lon1) continue;
+                if (Math.abs(lat0) === 90 && lat0 === lat1) continue;
+                coordinates.push(lat0, lon0, lat1, lon1);
+            }
+        }
+        outlineCoordinates = new Float32Array(coordinates);
+        outlines.geometry.setAttribute('position',
+            new THREE.BufferAttribute(new Float32Array(outlineCoordinates.length / 2 * 3), 3));
+        reproject();
+        return features;
+    }
+
+    // Yields every ring of every country polygon.
+    function* rings(feature) {
+        for (const current of feature ? [feature] : features) {
+            const { type, coordinates } = current.geometry;
+            const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+            for (const polygon of polygons) {
+                yield* polygon;
+            }
+        }
+    }
+
+    // Paints every country with the color for its value. `values` maps ISO
+    // country codes to numbers; countries without an entry stay transparent,
+    // while a value of 0 gets the bottom of the scale. The scale runs from 0
+    // to `max`, by default the largest value.
+    function setValues(values, max = Math.max(0, ...values.values())) {
+        context.clearRect(0, 0, TEXTURE_WIDTH, TEXTURE_HEIGHT);
+        for (const feature of features) {
+            const code = feature.properties.iso_a2;
+            if (!values.has(code)) continue;
+            const value = values.get(code);
+
+            context.fillStyle = colorAt(scale, max > 0 ? value / max : 0);
+            context.beginPath();
+            for (const ring of rings(feature)) {
+                ring.forEach(([lon, lat], i) => {
+                    const x = (lon + 180) / 360 * TEXTURE_WIDTH;
+                    const y = (90 - lat) / 180 * TEXTURE_HEIGHT;
+                    if (i === 0) context.moveTo(x, y);
+                    else context.lineTo(x, y);
+                });
+                context.closePath();
+            }
+            context.fill('evenodd');
+        }
+        texture.needsUpdate = true;
+        return max;
+    }
+
+    // Moves outlines and fill to the current state of the projection.
+    function reproject() {
+        const positions = outlines.geometry.attributes.position;
+        if (positions) {
+            for (let i = 0; i < positions.count; i++) {
+                projection.project(outlineCoordinates[i * 2], outlineCoordinates[i * 2 + 1], ALTITUDE, point);
+                positions.setXYZ(i, point.x, point.y, point.z);
+            }
+            positions.needsUpdate = true;
+        }
+        projection.projectSphere(fill.geometry, ALTITUDE);
+    }
+
+    return {
+        get features() {
+            return features;
+        },
+        load,
+        setValues,
+        reproject,
+        setScale(stops) {
+            scale = stops;
+        },
+        setOutlinesVisible(visible) {
+            outlines.visible = visible;
+        },
+        setFillVisible(visible) {
+            fill.visible = visible;
+        }
+    };
+}
+
+// Returns the CSS color at position t (0..1) of a color scale.
+export function colorAt(stops, t) {
+    const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const from = new THREE.Color(stops[index]);
+    const to = new THREE.Color(stops[index + 1]);
+    return '#' + from.lerp(to, position - index).getHexString();
+}
@@ -0,0 +1,83 @@
+// importing needed packages
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
+import { PROJECTIONS } from '../geo/projection.js';
+import { subsolarPoint } from '../geo/solar.js';
+
+// Shader code added to the earth material. The sun direction is given in the
+// frame of the globe projection, and the surface direction of every fragment
+// is rebuilt from its texture coordinates, so the terminator is in the right
+// place on the globe and on the flat maps alike.
+const vertexDeclarations = `
+    varying vec2 vGeoUv;
+`;
+
+const vertexMain = `
+    vGeoUv = uv;
+`;
+
+const fragmentDeclarations = `
+    uniform vec3 uSunDirection;
+    uniform float uDayNight;
+    uniform sampler2D uNightMap;
+    varying vec2 vGeoUv;
+`;
+
+const fragmentMain = `
+    if (uDayNight > 0.5) {
+        float phi = (1.0 - vGeoUv.y) * PI;
+        float theta = vGeoUv.x * 2.0 * PI;
+        vec3 surface = vec3(-sin(phi) * cos(theta), cos(phi), sin(phi) * sin(theta));
+        float daylight = smoothstep(-0.1, 0.1, dot(surface, uSunDirection));
+        vec3 cityLights = texture2D(uNightMap, vGeoUv).rgb;
+        outgoingLight = diffuseColor.rgb * mix(0.08, 1.0, daylight) + cityLights * (1.0 - daylight);
+    }
+`;
+
+// Adds day/night shading to the earth material: when enabled, the side of the
+// earth facing away from the sun is darkened and shows the city lights
+// texture. The sun is placed for the time passed to setTime().
+export function createDayNightShading(material, { nightMap }) {
+    const uniforms = {
+        uSunDirection: { value: new THREE.Vector3(1, 0, 0) },
+        uDayNight: { value: 0 },
+        uNightMap: { value: nightMap }
+    };
+
+    material.onBeforeCompile = shader => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = vertexDeclarations + shader.vertexShader.replace(
+            '#include <uv_vertex>',
+            '#include <uv_vertex>\n' + vertexMain
+        );
+        shader.fragmentShader = fragmentDeclarations + shader.fragmentShader.replace(
+            '#include <output_fragment>',
+            fragmentMain + '\n#include <output_fragment>'
+        );
+    };
+
+    let sun;
+
+    const shading = {
+        get enabled() {
+            return uniforms.uDayNight.value > 0.5;
+        },
+
+        // The point where the sun is overhead, as { lat, lon }.
+        get sun() {
+            return sun;
+        },
+
+        setEnabled(enabled) {
+            uniforms.uDayNight.value = enabled ? 1 : 0;
+        },
+
+        // Moves the sun to the given time (a Date or epoch milliseconds).
+        setTime(time) {
+            sun = subsolarPoint(time);
+            PROJECTIONS.globe.normal(sun.lat, sun.lon, uniforms.uSunDirection.value);
+        }
+    };
+
+    shading.setTime(Date.now());
+    return shading;
+}
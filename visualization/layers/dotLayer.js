@@ -0,0 +1,300 @@
+// importing needed packages
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
+
+const NORMAL_COLOR = new THREE.Color(0x00ff00);
+const SUSPICIOUS_COLOR = new THREE.Color(0xff0000);
+
+// Matrix used for free slots: scaled to zero, so the instance is not drawn
+// and cannot be hit by the raycaster.
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// Size of the spawn ripple ring around a new dot
+const RIPPLE_SIZE = 0.05;
+const RING_AXIS = new THREE.Vector3(0, 0, 1);
+
+// Size of the marker ring relative to the ripple
+const MARKER_SCALE = 0.35;
+
+// Shaders shared by the dots and the ripples. Both read the birth time of
+// the dot and compute its age from uTime, so the whole animation is driven by
+// the time passed to update() and no timers are involved.
+const dotVertexShader = `
+    uniform float uTime;
+    uniform float uLifetime;
+    uniform float uFadeIn;
+    uniform float uFadeOut;
+    attribute float aBirth;
+    attribute float aSuspicious;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float age = uTime - aBirth;
+        float fadeIn = clamp(age / uFadeIn, 0.0, 1.0);
+        float fadeOut = clamp((uLifetime - age) / uFadeOut, 0.0, 1.0);
+        // suspicious dots keep pulsing for their whole life
+        float pulse = aSuspicious * 0.4 * (0.5 + 0.5 * sin(age * 9.0));
+
+        vColor = instanceColor;
+        vAlpha = fadeIn * fadeOut * step(0.0, age);
+        vec3 scaled = position * fadeIn * (1.0 + pulse);
+        gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(scaled, 1.0);
+    }
+`;
+
+// Dots with a marker keep a small ring in the marker color once the ripple
+// is over, for the rest of their life.
+const rippleVertexShader = `
+    uniform float uTime;
+    uniform float uLifetime;
+    uniform float uFadeOut;
+    uniform float uRippleDuration;
+    attribute float aBirth;
+    attribute float aMarker;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float age = uTime - aBirth;
+        float progress = age / uRippleDuration;
+        float ripple = (1.0 - progress) * step(0.0, progress) * step(progress, 1.0);
+        float marker = aMarker * step(1.0, progress) * clamp((uLifetime - age) / uFadeOut, 0.0, 1.0);
+
+        vColor = instanceColor;
+        vAlpha = max(ripple, marker);
+        vec3 scaled = position * (progress < 1.0 ? clamp(progress, 0.0, 1.0) : ${MARKER_SCALE.toFixed(2)});
+        gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(scaled, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform float uOpacity;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        if (vAlpha <= 0.0) discard;
+        gl_FragColor = vec4(vColor, vAlpha * uOpacity);
+    }
+`;
+
+// Creates the layer that draws all packet dots with a single InstancedMesh.
+// Every dot takes one slot of a fixed-size instance buffer. Dots expire once
+// they are older than `lifetime` seconds, their slots are reused by the next
+// dots, and when the buffer is full the oldest dot gives its slot away.
+// `onRemove` is called with the record of every dot that goes away.
+export function createDotLayer(scene, { capacity = 50000, lifetime = 10, projection, onRemove } = {}) {
+    const uniforms = {
+        uTime: { value: 0 },
+        uLifetime: { value: lifetime },
+        uFadeIn: { value: 0.3 },
+        uFadeOut: { value: 3 },
+        uRippleDuration: { value: 1.2 },
+        uOpacity: { value: 1 }
+    };
+
+    // per-dot birth time, suspicious flag and marker flag, shared by dots and ripples
+    const births = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+    const suspiciousFlags = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+    const markerFlags = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+    births.setUsage(THREE.DynamicDrawUsage);
+    suspiciousFlags.setUsage(THREE.DynamicDrawUsage);
+    markerFlags.setUsage(THREE.DynamicDrawUsage);
+
+    const mesh = createInstances(new THREE.SphereGeometry(0.01, 8, 8), dotVertexShader);
+    const ripples = createInstances(new THREE.RingGeometry(0.8 * RIPPLE_SIZE, RIPPLE_SIZE, 32), rippleVertexShader);
+    ripples.material.side = THREE.DoubleSide;
+
+    // Builds an instanced mesh that reads the shared per-dot attributes.
+    function createInstances(geometry, vertexShader) {
+        geometry.setAttribute('aBirth', births);
+        geometry.setAttribute('aSuspicious', suspiciousFlags);
+        geometry.setAttribute('aMarker', markerFlags);
+        const material = new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+        const instances = new THREE.InstancedMesh(geometry, material, capacity);
+        instances.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        instances.setColorAt(0, NORMAL_COLOR);
+        instances.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        // instances move around the globe, so the mesh bounds are not meaningful
+        instances.frustumCulled = false;
+        instances.count = 0;
+        scene.add(instances);
+        return instances;
+    }
+
+    const slots = new Array(capacity).fill(null);  // dot record per slot
+    const freeSlots = [];                          // slots released by removed dots
+    let order = [];                                // records in the order they were added
+    let orderStart = 0;                            // first record of `order` that may still be alive
+    const active = new Set();                      // records of the visible dots
+    const matrix = new THREE.Matrix4();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3(1, 1, 1);
+    const position = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const markerColor = new THREE.Color();
+
+    // Slots changed since the last upload. Matrices change whenever a dot is
+    // added, moved, hidden or removed; colors and the per-dot attributes only
+    // when a dot is added. Only these ranges are uploaded, in update().
+    const changedMatrices = { start: Infinity, end: -1 };
+    const changedData = { start: Infinity, end: -1 };
+
+    // Takes a free slot, or evicts the oldest dot when the buffer is full.
+    function takeSlot() {
+        if (freeSlots.length > 0) return freeSlots.pop();
+        if (mesh.count < capacity) {
+            ripples.count++;
+            return mesh.count++;
+        }
+
+        remove(oldest());
+        return freeSlots.pop();
+    }
+
+    // Returns the oldest dot that is still alive, skipping removed records.
+    function oldest() {
+        while (orderStart < order.length && slots[order[orderStart].slot] !== order[orderStart]) {
+            orderStart++;
+        }
+        return order[orderStart];
+    }
+
+    // Adds a dot born at `time` and returns its record.
+    // The extra data (ip, suspicious, ...) is stored on the record. A
+    // `marker` color in the data gives the dot a lasting ring in that color.
+    function add(lat, lon, data, time = uniforms.uTime.value) {
+        const slot = takeSlot();
+        const dot = { ...data, lat, lon, slot, born: time };
+        const color = dot.suspicious === 1 ? SUSPICIOUS_COLOR : NORMAL_COLOR;
+
+        place(dot);
+        mesh.setColorAt(slot, color);
+        ripples.setColorAt(slot, dot.marker ? markerColor.set(dot.marker) : color);
+        births.setX(slot, time);
+        suspiciousFlags.setX(slot, dot.suspicious === 1 ? 1 : 0);
+        markerFlags.setX(slot, dot.marker ? 1 : 0);
+        markChanged(changedData, slot);
+
+        slots[slot] = dot;
+        order.push(dot);
+        active.add(dot);
+        return dot;
+    }
+
+    // Writes the instance matrices of the dot and its ripple.
+    function place(dot) {
+        projection.project(dot.lat, dot.lon, 0.01, position);
+        matrix.makeTranslation(position.x, position.y, position.z);
+        mesh.setMatrixAt(dot.slot, matrix);
+
+        // the ripple lies flat on the surface around the dot
+        rotation.setFromUnitVectors(RING_AXIS, projection.normal(dot.lat, dot.lon, normal));
+        matrix.compose(position, rotation, scale);
+        ripples.setMatrixAt(dot.slot, matrix);
+        markChanged(changedMatrices, dot.slot);
+    }
+
+    // Moves every dot to the current state of the projection.
+    function reproject() {
+        active.forEach(dot => {
+            if (!dot.hidden) place(dot);
+        });
+    }
+
+    // Hides a dot without removing it, e.g. while it is part of a cluster.
+    function setHidden(dot, hidden) {
+        if (slots[dot.slot] !== dot || Boolean(dot.hidden) === hidden) return;
+
+        dot.hidden = hidden;
+        if (hidden) {
+            mesh.setMatrixAt(dot.slot, HIDDEN_MATRIX);
+            ripples.setMatrixAt(dot.slot, HIDDEN_MATRIX);
+            markChanged(changedMatrices, dot.slot);
+        } else {
+            place(dot);
+        }
+    }
+
+    // Hides the dot and releases its slot.
+    function remove(dot) {
+        if (slots[dot.slot] !== dot) return;
+
+        mesh.setMatrixAt(dot.slot, HIDDEN_MATRIX);
+        ripples.setMatrixAt(dot.slot, HIDDEN_MATRIX);
+        markChanged(changedMatrices, dot.slot);
+
+        slots[dot.slot] = null;
+        freeSlots.push(dot.slot);
+        active.delete(dot);
+        if (onRemove) onRemove(dot);
+
+        // drop removed records from the eviction order once they pile up
+        if (order.length > 2 * capacity) {
+            order = order.filter(d => slots[d.slot] === d);
+            orderStart = 0;
+        }
+    }
+
+    // Adds a slot to a range of changed slots.
+    function markChanged(changed, slot) {
+        changed.start = Math.min(changed.start, slot);
+        changed.end = Math.max(changed.end, slot);
+        if (changed === changedMatrices) {
+            mesh.boundingSphere = null;
+            ripples.boundingSphere = null;
+        }
+    }
+
+    // Flags `attributes` for upload on the next render, limited to the
+    // changed slots, and starts a new range.
+    function upload(changed, attributes) {
+        if (changed.end < changed.start) return;
+        for (const attribute of attributes) {
+            attribute.updateRange.offset = changed.start * attribute.itemSize;
+            attribute.updateRange.count = (changed.end - changed.start + 1) * attribute.itemSize;
+            attribute.needsUpdate = true;
+        }
+        changed.start = Infinity;
+        changed.end = -1;
+    }
+
+    // Removes every dot, e.g. before the state of another moment is drawn.
+    function clear() {
+        [...active].forEach(remove);
+    }
+
+    // Advances the animation to `time` (seconds), removes expired dots and
+    // flags what changed since the last frame for upload. Called once per
+    // frame from the render loop, right before rendering.
+    function update(time) {
+        uniforms.uTime.value = time;
+
+        let dot = oldest();
+        while (dot && time - dot.born >= lifetime) {
+            remove(dot);
+            dot = oldest();
+        }
+
+        upload(changedMatrices, [mesh.instanceMatrix, ripples.instanceMatrix]);
+        upload(changedData, [mesh.instanceColor, ripples.instanceColor, births, suspiciousFlags, markerFlags]);
+    }
+
+    // Returns the record of the closest dot under the ray, or null.
+    function pick(raycaster) {
+        const intersects = raycaster.intersectObject(mesh);
+        for (const hit of intersects) {
+            const dot = slots[hit.instanceId];
+            if (dot && uniforms.uTime.value >= dot.born) return dot;
+        }
+        return null;
+    }
+
+    return { mesh, active, add, remove, clear, update, pick, reproject, setHidden };
+}
@@ -0,0 +1,152 @@
+// importing needed packages
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js";
+
+// Color ramps as [position, [r, g, b, a]] stops, position going from 0 (no
+// traffic) to 1 (saturated).
+export const HEATMAP_RAMPS = {
+    heat: [
+        [0.0, [0, 0, 255, 0]],
+        [0.2, [0, 128, 255, 120]],
+        [0.45, [0, 255, 128, 170]],
+        [0.7, [255, 255, 0, 210]],
+        [1.0, [255, 0, 0, 240]]
+    ],
+    magma: [
+        [0.0, [0, 0, 4, 0]],
+        [0.25, [81, 18, 124, 140]],
+        [0.5, [183, 55, 121, 190]],
+        [0.75, [252, 137, 97, 220]],
+        [1.0, [252, 253, 191, 240]]
+    ]
+};
+
+// Creates a toggleable density heatmap. Packets are accumulated with a
+// gaussian kernel into an equirectangular grid that cools down over time, and
+// the grid is shown as a texture on a sphere just above the earth.
+export function createHeatmapLayer(scene, {
+    projection,
+    width = 512,
+    height = 256,
+    radius = 4,        // kernel radius in degrees
+    halfLife = 10,     // seconds for a hotspot to lose half of its heat
+    saturation = 6,    // density that maps to roughly 2/3 of the ramp
+    ramp = HEATMAP_RAMPS.heat
+} = {}) {
+    const density = new Float32Array(width * height);
+    const pixels = new Uint8Array(width * height * 4);
+    let palette = buildPalette(ramp);
+
+    const texture = new THREE.DataTexture(pixels, width, height);
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearFilter;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
+
+    const mesh = new THREE.Mesh(
+        new THREE.SphereGeometry(1.003, 64, 64),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+    );
+    mesh.visible = false;
+    scene.add(mesh);
+
+    let lastTime = null;
+    let lastRedraw = -Infinity;
+
+    // Adds one packet at the given coordinates to the density grid. A packet
+    // that is `age` seconds old only adds the heat it has left by now.
+    function add(lat, lon, weight = 1, age = 0) {
+        weight *= Math.pow(0.5, age / halfLife);
+        // texture rows go from the south pole (row 0) to the north pole
+        const cx = (lon + 180) / 360 * width;
+        const cy = (lat + 90) / 180 * height;
+        const ry = radius / 180 * height;
+        // the same angular radius covers more pixels near the poles
+        const rx = Math.min(width / 2, ry / Math.max(Math.cos(lat * Math.PI / 180), 0.05));
+        const sigmaX = rx / 2;
+        const sigmaY = ry / 2;
+
+        const y0 = Math.max(0, Math.floor(cy - ry));
+        const y1 = Math.min(height - 1, Math.ceil(cy + ry));
+        for (let y = y0; y <= y1; y++) {
+            const dy = (y + 0.5 - cy) / sigmaY;
+            for (let x = Math.floor(cx - rx); x <= Math.ceil(cx + rx); x++) {
+                const dx = (x + 0.5 - cx) / sigmaX;
+                const value = weight * Math.exp(-0.5 * (dx * dx + dy * dy));
+                // wrap around the antimeridian
+                const column = ((x % width) + width) % width;
+                density[y * width + column] += value;
+            }
+        }
+    }
+
+    // Cools the grid down to `time` (seconds) and refreshes the texture.
+    // Called once per frame from the render loop; the texture itself is only
+    // rebuilt a few times per second since it is the expensive part.
+    function update(time) {
+        if (lastTime !== null && time > lastTime) {
+            const factor = Math.pow(0.5, (time - lastTime) / halfLife);
+            for (let i = 0; i < density.length; i++) {
+                density[i] *= factor;
+            }
+        }
+        lastTime = time;
+
+        if (!mesh.visible || time - lastRedraw < 0.1) return;
+        lastRedraw = time;
+
+        for (let i = 0; i < density.length; i++) {
+            const level = 1 - Math.exp(-density[i] / saturation);
+            const entry = Math.min(255, Math.floor(level * 256)) * 4;
+            pixels[i * 4] = palette[entry];
+            pixels[i * 4 + 1] = palette[entry + 1];
+            pixels[i * 4 + 2] = palette[entry + 2];
+            pixels[i * 4 + 3] = palette[entry + 3];
+        }
+        texture.needsUpdate = true;
+    }
+
+    // Removes all accumulated heat.
+    function clear() {
+        density.fill(0);
+        lastTime = null;
+        lastRedraw = -Infinity;
+    }
+
+    function setVisible(visible) {
+        mesh.visible = visible;
+        lastRedraw = -Infinity;
+    }
+
+    function setRadius(degrees) {
+        radius = degrees;
+    }
+
+    function setRamp(stops) {
+        palette = buildPalette(stops);
+        lastRedraw = -Infinity;
+    }
+
+    // Moves the overlay to the current state of the projection.
+    function reproject() {
+        projection.projectSphere(mesh.geometry, 0.003);
+    }
+
+    return { mesh, add, update, clear, setVisible, setRadius, setRamp, reproject };
+}
+
+// Turns ramp stops into a 256-entry RGBA lookup table.
+function buildPalette(stops) {
+    const palette = new Uint8Array(256 * 4);
+    for (let i = 0; i < 256; i++) {
+        const position = i / 255;
+        let upper = stops.findIndex(([stop]) => stop >= position);
+        if (upper < 1) upper = 1;
+        const [fromStop, from] = stops[upper - 1];
+        const [toStop, to] = stops[upper];
+        const t = toStop === fromStop ? 0 : (position - fromStop) / (toStop - fromStop);
+        for (let c = 0; c < 4; c++) {
+            palette[i * 4 + c] = Math.round(from[c] + (to[c] - from[c]) * Math.min(Math.max(t, 0), 1));
+        }
+    }
+    return palette;
+}
@@ -0,0 +1,7 @@
+// Delay in ms before retry number `attempt` (0 for the first retry). It
+// doubles from minDelay up to maxDelay, and a random part of up to half of
+// it is dropped, so that many clients do not retry all at the same moment.
+export function backoffDelay(attempt, { minDelay = 500, maxDelay = 30000, random = Math.random } = {}) {
+    const delay = Math.min(maxDelay, minDelay * 2 ** attempt);
+    return delay / 2 + random() * delay / 2;
+}
@@ -0,0 +1,97 @@
+// Reads a packet capture in the browser, so it can be replayed without the
+// sender and receiver.
+//
+// The file has the columns of data/ip_addresses.csv (ip address, Latitude,
+// Longitude, Timestamp, suspicious) and is turned into the same packets the
+// sender posts: sorted by Timestamp, with "ip address" renamed to "ip". They
+// are played back by a playback (see playback.js), with the gaps between
+// their Timestamps like sender.py does.
+
+import { packetTime } from './packetTime.js';
+
+// Splits CSV text into rows of fields. Handles quoted fields with commas,
+// doubled quotes and line breaks in them.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = "";
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ""));
+}
+
+// Column names as the sender sends them
+const COLUMN_NAMES = { "ip address": "ip" };
+const NUMERIC_COLUMNS = ["Latitude", "Longitude", "suspicious"];
+const REQUIRED_COLUMNS = ["ip", "Latitude", "Longitude", "Timestamp"];
+
+// Turns the CSV text into packets sorted by Timestamp. Throws when a
+// required column is missing.
+export function parsePackets(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error("The file is empty");
+
+    const columns = header.map(name => COLUMN_NAMES[name.trim()] || name.trim());
+    const missing = REQUIRED_COLUMNS.filter(name => !columns.includes(name));
+    if (missing.length > 0) throw new Error(`Missing columns: ${missing.join(", ")}`);
+
+    const packets = rows.map(fields => {
+        const packet = {};
+        columns.forEach((name, i) => {
+            packet[name] = parseValue(name, (fields[i] ?? "").trim());
+        });
+        return packet;
+    });
+
+    // rows without a position cannot be drawn
+    return packets
+        .filter(packet => Number.isFinite(packet.Latitude) && Number.isFinite(packet.Longitude))
+        .map((packet, i) => ({ packet, i, time: timeOrLast(packet) }))
+        .sort((a, b) => (a.time - b.time) || (a.i - b.i))
+        .map(({ packet }) => packet);
+}
+
+// Numbers stay numbers, like pandas reads them; a Timestamp that is not a
+// number is kept as a date string.
+function parseValue(name, value) {
+    if (NUMERIC_COLUMNS.includes(name)) return value === "" ? NaN : Number(value);
+    if (name === "Timestamp" && value !== "" && !Number.isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+// Time to sort a packet by. Packets without a valid time go last, where the
+// playback gives them the newest time.
+function timeOrLast(packet) {
+    const time = packetTime(packet);
+    return Number.isNaN(time) ? Infinity : time;
+}
@@ -0,0 +1,58 @@
+// The single entry point for packets from every transport. It owns the
+// cursor (the index of the next packet the frontend needs), passes packets
+// on strictly in index order, drops packets it has already seen, and keeps
+// the numbers shown in the status line.
+export function createIngest({ onPacket = () => {}, rateWindow = 5, now = () => Date.now() } = {}) {
+    let lastIndex = -1;
+    const stats = { received: 0, duplicates: 0, lastPacketTime: null, lastError: null, lastErrorTime: null };
+
+    // packets delivered per second over the last `rateWindow` seconds
+    const buckets = new Array(rateWindow).fill(0);
+    let bucketSecond = Math.floor(now() / 1000);
+
+    function advanceBuckets() {
+        const second = Math.floor(now() / 1000);
+        for (let s = bucketSecond + 1; s <= second && s <= bucketSecond + rateWindow; s++) {
+            buckets[s % rateWindow] = 0;
+        }
+        bucketSecond = Math.max(bucketSecond, second);
+    }
+
+    // Accepts the packet with the given index. Returns false, and drops it,
+    // when that index (or a later one) was delivered already: a repeated
+    // request or a resumed stream, not a new packet.
+    function deliver(packet, index) {
+        if (index <= lastIndex) {
+            stats.duplicates++;
+            return false;
+        }
+        lastIndex = index;
+        stats.received++;
+        stats.lastPacketTime = now();
+        advanceBuckets();
+        buckets[bucketSecond % rateWindow]++;
+        onPacket(packet, index);
+        return true;
+    }
+
+    // Records a failure of a transport for the status line.
+    function error(err) {
+        stats.lastError = err instanceof Error ? err.message : String(err);
+        stats.lastErrorTime = now();
+    }
+
+    return {
+        deliver,
+        error,
+        stats,
+        // index of the next packet that is needed
+        get nextIndex() {
+            return lastIndex + 1;
+        },
+        // packets per second, averaged over the rate window
+        get rate() {
+            advanceBuckets();
+            return buckets.reduce((sum, count) => sum + count, 0) / rateWindow;
+        }
+    };
+}
@@ -0,0 +1,115 @@
+// Merges the packets of several sources into one stream ordered by time.
+//
+// Every source delivers its own packets in order, but the sources run ahead
+// of or behind each other. Packets wait in a min-heap on their time, and
+// the earliest one is let out once
+//   - every source that is sending has already passed its time, so nothing
+//     earlier can arrive anymore, or
+//   - it has waited `maxDelay` ms, so a slow or silent source cannot hold
+//     the others back, or
+//   - more than `capacity` packets are waiting.
+// Packets without a valid time are let out right away. Sources listed in
+// `sources` are waited for from the start, before they sent anything.
+export function createMergeBuffer({
+    sources = [],
+    onPacket = () => {},
+    timeOf = () => NaN,
+    maxDelay = 1000,
+    capacity = 5000,
+    now = () => Date.now()
+} = {}) {
+    const heap = [];              // { time, seq, arrived, source, packet }
+    const latest = new Map();     // source -> { time, arrived } of its last packet
+    let seq = 0;                  // keeps packets with equal times in arrival order
+
+    for (const source of sources) {
+        latest.set(source, { time: -Infinity, arrived: now() });
+    }
+
+    function before(a, b) {
+        return a.time < b.time || (a.time === b.time && a.seq < b.seq);
+    }
+
+    function siftUp(i) {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!before(heap[i], heap[parent])) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    }
+
+    function siftDown(i) {
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+            if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+            if (smallest === i) break;
+            [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+            i = smallest;
+        }
+    }
+
+    function pop() {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            siftDown(0);
+        }
+        return top;
+    }
+
+    // Adds a packet of `source` and lets out whatever is ready.
+    function push(source, packet) {
+        const time = timeOf(packet);
+        const arrived = now();
+        if (Number.isNaN(time)) {
+            onPacket(packet, source);
+            return;
+        }
+        latest.set(source, { time, arrived });
+        heap.push({ time, seq: seq++, arrived, source, packet });
+        siftUp(heap.length - 1);
+        flush();
+    }
+
+    // Time up to which every source that sent something within maxDelay has
+    // delivered its packets.
+    function watermark(current) {
+        let min = Infinity;
+        for (const { time, arrived } of latest.values()) {
+            if (current - arrived <= maxDelay) min = Math.min(min, time);
+        }
+        return min;
+    }
+
+    // Lets out every packet that is ready. Called for every new packet and
+    // regularly from the render loop, so waiting packets time out.
+    function flush() {
+        const current = now();
+        const limit = watermark(current);
+        while (heap.length > 0) {
+            const top = heap[0];
+            if (top.time > limit && current - top.arrived < maxDelay && heap.length <= capacity) break;
+            pop();
+            onPacket(top.packet, top.source);
+        }
+    }
+
+    function clear() {
+        heap.length = 0;
+        latest.clear();
+    }
+
+    return {
+        push,
+        flush,
+        clear,
+        get length() {
+            return heap.length;
+        }
+    };
+}
@@ -0,0 +1,22 @@
+// Time of a packet, from its Timestamp: epoch seconds as in the bundled
+// data, epoch milliseconds or a date string.
+//
+// Timestamps before 2000 or more than a day ahead of the clock are taken as
+// broken (e.g. a Timestamp of 0) and count as no time at all. Otherwise a
+// single stray packet would stretch the timeline and the charts over
+// decades.
+
+const EARLIEST = Date.UTC(2000, 0, 1);
+const MAX_AHEAD = 24 * 60 * 60 * 1000;
+
+// The packet's time in epoch milliseconds, or NaN when it has none.
+export function packetTime(packet, now = Date.now()) {
+    const value = packet.Timestamp;
+    let time;
+    if (typeof value === "number") {
+        time = value < 1e12 ? value * 1000 : value;
+    } else {
+        time = Date.parse(value);
+    }
+    return time >= EARLIEST && time <= now + MAX_AHEAD ? time : NaN;
+}
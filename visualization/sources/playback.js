@@ -0,0 +1,188 @@
+// Playback of the packets of a session, and the clock of the scene. Every
+// packet it is given is kept in Timestamp order, and played out through
+// onPacket once the position (in packet time) reaches it. The position can
+// be paused, sped up and moved back and forth, and everything on screen
+// follows it rather than the browser clock.
+//
+// While live, the position runs `tolerance` ms behind the newest packet, so
+// packets that arrive out of order by less than that are still played at
+// their own time. Between packets it goes on with the wall clock, up to
+// `window` ms past the newest packet, so the scene of a receiver that went
+// quiet still expires. A packet that arrives after the position has passed
+// it is late: it is played right away, at the position.
+//
+// Pausing, seeking back or picking a speed other than 1 leaves the live
+// edge; packets that arrive meanwhile are kept, and played later `speed`
+// times as fast as their Timestamps are apart. Once the position catches up
+// with the newest packet at a speed of at least 1, the playback is live
+// again and its speed back to 1, the pace the packets arrive at. Slower than
+// 1, it stays behind and waits at the newest packet for the next ones.
+//
+// Only the newest `capacity` packets are kept.
+export function createPlayback({
+    onPacket = () => {},
+    timeOf = () => NaN,
+    tolerance = 0,
+    window = Infinity,
+    capacity = 500000
+} = {}) {
+    const history = [];   // { time, packet, source } in time order
+    let cursor = 0;       // next entry to play
+    let position = null;  // packet time (ms) played up to, null before the first packet
+    let playing = true;
+    let live = true;
+    let speed = 1;
+    let late = 0;         // packets that arrived after their time was played
+
+    // Index of the first entry later than `time`.
+    function after(time) {
+        let low = 0;
+        let high = history.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (history[middle].time <= time) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    // Plays every entry up to `index` (exclusive), each at its own time.
+    function playTo(index) {
+        while (cursor < index) {
+            const { time, packet, source } = history[cursor++];
+            onPacket(packet, source, time);
+        }
+    }
+
+    function newest() {
+        return history[history.length - 1].time;
+    }
+
+    // True when everything kept was played and the speed allows keeping up.
+    function caughtUp() {
+        return cursor >= history.length && speed >= 1;
+    }
+
+    // Keeps a packet and returns the time it is kept at. Packets without a
+    // valid time count as arriving at the newest time.
+    function add(packet, source) {
+        let time = timeOf(packet);
+        if (Number.isNaN(time)) {
+            time = history.length > 0 ? newest() : Date.now();
+        }
+
+        const index = after(time);
+        history.splice(index, 0, { time, packet, source });
+        if (position !== null && time < position) {
+            // its time was played already: nothing to wait for, but while
+            // paused it is only kept
+            cursor++;
+            late++;
+            if (playing) onPacket(packet, source, position);
+        }
+        if (position === null) position = time - tolerance;
+        trim();
+        return time;
+    }
+
+    // Drops the oldest packets in chunks, so the array is not shifted for
+    // every new packet.
+    function trim() {
+        const extra = history.length - capacity;
+        if (extra < capacity / 10) return;
+        history.splice(0, extra);
+        cursor = Math.max(0, cursor - extra);
+    }
+
+    // Advances the position by `delta` seconds of wall time and plays what it
+    // passed. Called once per frame from the render loop.
+    function update(delta) {
+        if (!playing || position === null) return;
+
+        if (live) {
+            const runOn = Math.min(position + delta * 1000, Math.max(position, newest() + window));
+            position = Math.max(runOn, newest() - tolerance);
+        } else {
+            position = Math.min(position + delta * 1000 * speed, newest());
+        }
+        playTo(after(position));
+        if (caughtUp()) {
+            live = true;
+            speed = 1;
+        }
+    }
+
+    function play() {
+        playing = true;
+        if (caughtUp()) live = true;
+    }
+
+    function pause() {
+        playing = false;
+        live = false;
+    }
+
+    // Moves the position to `time`, within the kept packets. Packets up to
+    // the new position count as played without being passed to onPacket:
+    // the caller rebuilds the state at that moment from between().
+    function seek(time) {
+        if (history.length === 0) return;
+        position = Math.min(Math.max(time, history[0].time), newest());
+        cursor = after(position);
+        live = playing && caughtUp();
+    }
+
+    // Kept entries with from < time <= to, as { time, packet, source }.
+    function between(from, to) {
+        return history.slice(after(from), after(to));
+    }
+
+    function clear() {
+        history.length = 0;
+        cursor = 0;
+        position = null;
+        live = playing;
+    }
+
+    return {
+        add,
+        update,
+        play,
+        pause,
+        seek,
+        between,
+        clear,
+        setSpeed(value) {
+            speed = value;
+            if (speed !== 1) live = false;
+        },
+        get speed() {
+            return speed;
+        },
+        get playing() {
+            return playing;
+        },
+        get live() {
+            return live;
+        },
+        get position() {
+            return position;
+        },
+        // time of the oldest and newest kept packet, null while empty
+        get start() {
+            return history.length > 0 ? history[0].time : null;
+        },
+        get end() {
+            return history.length > 0 ? newest() : null;
+        },
+        get played() {
+            return cursor;
+        },
+        get late() {
+            return late;
+        },
+        get length() {
+            return history.length;
+        }
+    };
+}
@@ -0,0 +1,135 @@
+// Packet source that polls the receiver's /get_data for ranges of packets.
+//
+// Only one request is ever in flight: the next one is scheduled when the
+// previous one has finished, and always starts at the cursor of the ingest
+// (see ingest.js), so two requests can never ask for the same packets.
+// Batches are sized by how far behind the receiver the frontend is: small
+// ones while keeping up, up to `maxBatch` while catching up.
+//
+// The health of the connection is reported through onHealth(state, info):
+// "live" after every successful request, "offline" when the receiver cannot
+// be reached and "error" when it answers with an error. Failed requests are
+// retried with an exponential backoff, and while there is nothing new the
+// polling slows down to `idleInterval`.
+
+import { backoffDelay } from './backoff.js';
+
+export function createPollSource(url, {
+    ingest,
+    interval = 100,
+    idleInterval = 1000,
+    maxDelay = 30000,
+    minBatch = 20,
+    maxBatch = 500,
+    isBusy = () => false,
+    headers = {},
+    onHealth = () => {},
+    fetchImpl = (...args) => fetch(...args),
+    random = Math.random
+} = {}) {
+    let timer = null;
+    let running = false;
+    let polling = false;  // a request is in flight
+    let backlog = 0;      // packets the receiver has that were not fetched yet
+    let failures = 0;     // failed requests in a row
+    let idlePolls = 0;    // requests in a row that returned nothing new
+    let state = null;
+
+    function report(next, info) {
+        if (next !== state && next !== "live") {
+            console.log(`Receiver ${next}:`, info.error || "");
+        }
+        state = next;
+        onHealth(next, info);
+    }
+
+    async function poll() {
+        timer = null;
+        let error = null;
+        // the consumer cannot keep up, wait before asking for more
+        if (!isBusy()) {
+            const limit = Math.min(maxBatch, Math.max(minBatch, backlog));
+            polling = true;
+            try {
+                error = await request(limit);
+            } finally {
+                polling = false;
+            }
+        }
+        if (!running) return;
+
+        let delay;
+        if (error) {
+            delay = backoffDelay(failures - 1, { minDelay: interval * 10, maxDelay, random });
+        } else if (backlog > 0 && !isBusy()) {
+            delay = 0;  // catching up: ask again right away
+        } else {
+            delay = Math.min(idleInterval, interval * 2 ** idlePolls);
+        }
+        report(error ? error.state : "live", {
+            error: error && error.message,
+            retryAt: Date.now() + delay
+        });
+        timer = setTimeout(poll, delay);
+    }
+
+    // Fetches one batch. Returns null on success, otherwise { state, message }.
+    async function request(limit) {
+        let res;
+        try {
+            res = await fetchImpl(`${url}?from=${ingest.nextIndex}&limit=${limit}`, { headers });
+        } catch (err) {
+            failures++;
+            ingest.error(err);
+            return { state: "offline", message: err.message };
+        }
+        try {
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+            body.packets.forEach((packet, i) => ingest.deliver(packet, body.from + i));
+            backlog = Math.max(0, body.total - ingest.nextIndex);
+            idlePolls = body.packets.length > 0 ? 0 : idlePolls + 1;
+            failures = 0;
+            return null;
+        } catch (err) {
+            failures++;
+            ingest.error(err);
+            return { state: "error", message: err.message };
+        }
+    }
+
+    function start() {
+        if (running) return;
+        running = true;
+        // a request still running from before stop() schedules the next one
+        if (!polling) poll();
+    }
+
+    function stop() {
+        running = false;
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    }
+
+    // Skips the rest of the wait and polls right away.
+    function retryNow() {
+        if (!running || polling) return;
+        clearTimeout(timer);
+        idlePolls = 0;
+        poll();
+    }
+
+    return {
+        start,
+        stop,
+        retryNow,
+        get running() {
+            return running;
+        },
+        get backlog() {
+            return backlog;
+        }
+    };
+}
@@ -0,0 +1,131 @@
+// One receiver the frontend reads packets from: its transports, its ingest
+// (cursor, duplicates, stats) and the health of the connection.
+//
+// Packets are fetched with source.transport: "sse" streams them from
+// /stream as they arrive, "ws" subscribes over the websocket, "poll" asks
+// /get_data for batches. Streaming falls back to polling when the receiver
+// does not offer it.
+//
+// Every transport delivers every packet by default, so the kept history is
+// the same whatever the filters. With source.serverFilters, the websocket
+// asks the receiver for suspicious packets only while that filter is on:
+// less traffic, but the packets left out are never received.
+
+import { createIngest } from './ingest.js';
+import { createPollSource } from './pollSource.js';
+import { createSseSource } from './sseSource.js';
+import { createWebSocketSource } from './wsSource.js';
+
+// A live connection counts as caught up after this many ms without packets
+const CAUGHT_UP_AFTER = 2000;
+
+// `source` is one entry of config.sources (see config.js). `onPacket` gets
+// every new packet in index order, `isBusy` tells polling to wait because
+// the consumer is behind.
+export function createReceiver(source, { onPacket = () => {}, isBusy = () => false, filters = {} } = {}) {
+    const ingest = createIngest({ onPacket });
+
+    // State of the connection: "connecting", "live", "offline", "error" or
+    // "stopped", the last error and when the next attempt is made after a
+    // failure.
+    const connection = { state: "connecting", error: null, retryAt: null };
+
+    function setConnection(state, { error = null, retryAt = null } = {}) {
+        connection.state = state;
+        connection.error = error;
+        connection.retryAt = retryAt;
+    }
+
+    // Polling asks for the next batch only once the previous one has arrived,
+    // and waits while the consumer is busy.
+    const poller = createPollSource(`${source.backendUrl}/get_data`, {
+        ingest,
+        interval: source.pollInterval,
+        idleInterval: source.idlePollInterval,
+        maxBatch: source.batchSize,
+        isBusy,
+        headers: source.headers,
+        onHealth: setConnection
+    });
+
+    const stream = createSseSource(`${source.backendUrl}/stream`, {
+        onPacket: (packet, index) => ingest.deliver(packet, index),
+        onOpen: () => setConnection("live"),
+        onError: delay => {
+            ingest.error("Stream interrupted");
+            setConnection("offline", { error: "Stream interrupted", retryAt: Date.now() + delay });
+        },
+        onClose: () => {
+            console.log(`${source.name}: stream unavailable, falling back to polling`);
+            ingest.error("Stream unavailable, polling instead");
+            active = poller;
+            poller.start();
+        }
+    });
+
+    const socket = createWebSocketSource(source.socketUrl, {
+        filters: upstreamFilters(filters),
+        onPacket: (packet, index) => ingest.deliver(packet, index),
+        onStatus: (status, delay) => {
+            if (status === "open") {
+                setConnection("live");
+            } else if (status === "reconnecting") {
+                ingest.error("Websocket closed");
+                setConnection("offline", { error: "Websocket closed", retryAt: Date.now() + delay });
+            }
+        }
+    });
+
+    // The filters the receiver applies itself. It knows no countries, so the
+    // country filter always stays in the frontend.
+    function upstreamFilters(filters) {
+        return source.serverFilters ? { suspicious: Boolean(filters.suspicious) } : {};
+    }
+
+    // the transport in use
+    let active = poller;
+    if (source.transport === "ws" && typeof WebSocket !== "undefined") {
+        active = socket;
+    } else if (source.transport === "sse" && typeof EventSource !== "undefined") {
+        active = stream;
+    }
+
+    return {
+        id: source.id,
+        name: source.name,
+        color: source.color,
+        ingest,
+        connection,
+        start() {
+            active.start();
+        },
+        // stops fetching until start() is called again, which resumes after
+        // the last packet received
+        stop() {
+            active.stop();
+            setConnection("stopped");
+        },
+        // skips the wait of a failed connection and tries again right away
+        retryNow() {
+            active.retryNow();
+        },
+        // only the websocket can pass filters on to the receiver
+        setFilters(next) {
+            socket.setFilters(upstreamFilters(next));
+        },
+        // packets the receiver has that were not fetched yet, null while unknown
+        get backlog() {
+            return active.backlog;
+        },
+        // the connection state, with "live" turned into "caught-up" while
+        // no packets arrive
+        get state() {
+            const { lastPacketTime } = ingest.stats;
+            if (connection.state === "live" &&
+                (lastPacketTime === null || Date.now() - lastPacketTime > CAUGHT_UP_AFTER)) {
+                return "caught-up";
+            }
+            return connection.state;
+        }
+    };
+}
@@ -0,0 +1,43 @@
+// Queue between the transports and the scene. Packets can arrive hundreds at
+// a time; instead of drawing a whole batch at once, every frame takes only
+// as many packets as fit in a small time budget, so the globe keeps
+// animating smoothly while a backlog is worked off.
+export function createRenderQueue(render, { budget = 4, now = () => performance.now() } = {}) {
+    let queue = [];
+    let head = 0;  // index of the next packet to render
+
+    function push(...packets) {
+        queue.push(...packets);
+    }
+
+    // Renders queued packets until `budget` milliseconds are used up.
+    // Called once per frame; always renders at least one packet.
+    function drain() {
+        const deadline = now() + budget;
+        while (head < queue.length) {
+            render(queue[head]);
+            queue[head] = undefined;
+            head++;
+            if (now() >= deadline) break;
+        }
+        // drop the rendered part once it makes up most of the array
+        if (head > 1024 && head * 2 > queue.length) {
+            queue = queue.slice(head);
+            head = 0;
+        }
+    }
+
+    function clear() {
+        queue = [];
+        head = 0;
+    }
+
+    return {
+        push,
+        drain,
+        clear,
+        get length() {
+            return queue.length - head;
+        }
+    };
+}
@@ -0,0 +1,128 @@
+// Streaming packet source over Server-Sent Events (the receiver's /stream).
+//
+// Every event carries the packet index as its id, and a "total" event before
+// every batch the number of packets the receiver has. When the stream breaks,
+// it is closed and opened again after an exponential backoff with jitter,
+// rather than left to the browser's fixed retry, and resumes right after
+// the last index that was delivered.
+//
+// The EventSource class, the random source and the timer functions can be
+// passed in, so the source can be run without a receiver.
+
+import { backoffDelay } from './backoff.js';
+
+export function createSseSource(url, {
+    from = 0,
+    onPacket = () => {},
+    onOpen = () => {},
+    onError = () => {},
+    onClose = () => {},
+    minDelay = 500,
+    maxDelay = 30000,
+    EventSourceImpl = globalThis.EventSource,
+    random = Math.random,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout
+} = {}) {
+    let source = null;
+    let lastIndex = from - 1;
+    let attempt = 0;        // failed connections in a row
+    let retryTimer = null;
+    let stopped = true;
+    let opened = false;     // whether the receiver ever served the stream
+    let total = null;       // packets the receiver has, null until it says
+
+    function connect() {
+        retryTimer = null;
+        // a stream that was replaced is ignored from then on
+        const current = new EventSourceImpl(`${url}?from=${lastIndex + 1}`);
+        source = current;
+
+        current.onopen = () => {
+            if (source !== current) return;
+            attempt = 0;
+            opened = true;
+            onOpen();
+        };
+
+        current.addEventListener('packet', event => {
+            if (source !== current) return;
+            const index = Number(event.lastEventId);
+            // a resumed stream may repeat what was already delivered
+            if (index <= lastIndex) return;
+            lastIndex = index;
+            onPacket(JSON.parse(event.data), index);
+        });
+
+        current.addEventListener('total', event => {
+            if (source !== current) return;
+            total = Number(event.data);
+        });
+
+        // CLOSED before the stream was ever open means the receiver does not
+        // offer it (e.g. no /stream), so let the caller decide what to do
+        // instead. Otherwise the connection broke: close it and try again
+        // later.
+        current.onerror = () => {
+            if (source !== current) return;
+            const gaveUp = current.readyState === EventSourceImpl.CLOSED && !opened;
+            current.close();
+            source = null;
+            if (gaveUp) {
+                stopped = true;
+                onClose();
+            } else {
+                scheduleReconnect();
+            }
+        };
+    }
+
+    function scheduleReconnect() {
+        const wait = backoffDelay(attempt, { minDelay, maxDelay, random });
+        attempt++;
+        onError(wait);
+        retryTimer = setTimer(connect, wait);
+    }
+
+    function start() {
+        if (!stopped) return;
+        stopped = false;
+        connect();
+    }
+
+    function stop() {
+        stopped = true;
+        if (retryTimer !== null) {
+            clearTimer(retryTimer);
+            retryTimer = null;
+        }
+        if (source) {
+            source.close();
+            source = null;
+        }
+    }
+
+    // Skips the rest of the backoff and reconnects right away.
+    function retryNow() {
+        if (stopped || retryTimer === null) return;
+        clearTimer(retryTimer);
+        connect();
+    }
+
+    return {
+        start,
+        stop,
+        retryNow,
+        get running() {
+            return !stopped;
+        },
+        // index of the next packet the stream will deliver
+        get nextIndex() {
+            return lastIndex + 1;
+        },
+        // packets the receiver has that were not delivered yet, null while unknown
+        get backlog() {
+            return total === null ? null : Math.max(0, total - (lastIndex + 1));
+        }
+    };
+}
@@ -0,0 +1,154 @@
+// Compact store of values per second of packet time, for the charts.
+//
+// Every series is kept in chunks of an hour: a Float32Array of one value per
+// second, created the first time a second in that hour is stored. The
+// history of a session takes four bytes per series and second it covers,
+// rather than an object per point, and seconds far apart (e.g. a stray
+// Timestamp) only cost a chunk each instead of everything in between.
+// Seconds that were never set are NaN and left out of points(); add() and
+// bins() count them as 0.
+
+// Seconds per chunk
+const CHUNK_SECONDS = 3600;
+
+export function createTimeSeries() {
+    const columns = new Map();  // name -> Map(chunk index -> Float32Array)
+
+    // The values of the chunk holding `second`, created when missing.
+    function chunk(name, second) {
+        let chunks = columns.get(name);
+        if (!chunks) {
+            chunks = new Map();
+            columns.set(name, chunks);
+        }
+        const index = Math.floor(second / CHUNK_SECONDS);
+        let values = chunks.get(index);
+        if (!values) {
+            values = new Float32Array(CHUNK_SECONDS).fill(NaN);
+            chunks.set(index, values);
+        }
+        return values;
+    }
+
+    // Calls visit(second, value) for every set second of a series between
+    // two times (ms), inclusive, in time order. Only stored chunks are
+    // visited, so a long range costs no more than the values in it.
+    function forEachValue(name, from, to, visit) {
+        const chunks = columns.get(name);
+        if (!chunks) return;
+        const first = Math.ceil(from / 1000);
+        const last = Math.floor(to / 1000);
+        const indices = [...chunks.keys()]
+            .filter(index => (index + 1) * CHUNK_SECONDS > first && index * CHUNK_SECONDS <= last)
+            .sort((a, b) => a - b);
+        for (const index of indices) {
+            const values = chunks.get(index);
+            const offset = index * CHUNK_SECONDS;
+            const end = Math.min(last - offset, CHUNK_SECONDS - 1);
+            for (let i = Math.max(first - offset, 0); i <= end; i++) {
+                if (!Number.isNaN(values[i])) visit(offset + i, values[i]);
+            }
+        }
+    }
+
+    // Sets the value of a series for the second of `time` (ms).
+    function set(name, time, value) {
+        const second = Math.floor(time / 1000);
+        if (!Number.isFinite(second)) return;
+        chunk(name, second)[second - Math.floor(second / CHUNK_SECONDS) * CHUNK_SECONDS] = value;
+    }
+
+    // Adds to the value of a series for the second of `time` (ms).
+    function add(name, time, amount = 1) {
+        const second = Math.floor(time / 1000);
+        if (!Number.isFinite(second)) return;
+        const values = chunk(name, second);
+        const i = second - Math.floor(second / CHUNK_SECONDS) * CHUNK_SECONDS;
+        values[i] = (Number.isNaN(values[i]) ? 0 : values[i]) + amount;
+    }
+
+    // The set values of a series between two times (ms), as { x, y } points
+    // with x the start of the second in ms.
+    function points(name, from, to) {
+        const result = [];
+        forEachValue(name, from, to, (second, y) => result.push({ x: second * 1000, y }));
+        return result;
+    }
+
+    // Sums of a series over bins of `size` seconds covering from..to (ms),
+    // as { x, y } with x the start of the bin in ms. Bins start at multiples
+    // of the size, so they stay put while the range moves.
+    function bins(name, from, to, size) {
+        const firstBin = Math.floor(from / 1000 / size) * size;
+        const lastSecond = Math.floor(to / 1000);
+        const sums = new Array(Math.max(Math.floor((lastSecond - firstBin) / size) + 1, 0)).fill(0);
+        forEachValue(name, firstBin * 1000, lastSecond * 1000, (second, value) => {
+            sums[Math.floor((second - firstBin) / size)] += value;
+        });
+        return sums.map((y, i) => ({ x: (firstBin + i * size) * 1000, y }));
+    }
+
+    function remove(name) {
+        columns.delete(name);
+    }
+
+    function clear() {
+        columns.clear();
+    }
+
+    return {
+        set,
+        add,
+        points,
+        bins,
+        remove,
+        clear
+    };
+}
+
+// Largest-Triangle-Three-Buckets downsampling: keeps `threshold` of the
+// { x, y } points. The first and last point stay, and every bucket in
+// between keeps the point that spans the largest triangle with the point
+// kept before it and the average of the next bucket, so peaks and dips
+// survive while flat stretches are thinned out.
+export function downsample(points, threshold) {
+    if (threshold < 3 || points.length <= threshold) return points;
+
+    const sampled = [points[0]];
+    const every = (points.length - 2) / (threshold - 2);
+    let previous = points[0];
+
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        // average of the next bucket, or the last point for the last one
+        const nextStart = Math.floor((bucket + 1) * every) + 1;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * every) + 1, points.length);
+        let averageX = 0;
+        let averageY = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            averageX += points[i].x;
+            averageY += points[i].y;
+        }
+        averageX /= nextEnd - nextStart;
+        averageY /= nextEnd - nextStart;
+
+        const start = Math.floor(bucket * every) + 1;
+        const end = Math.floor((bucket + 1) * every) + 1;
+        let largest = -1;
+        let chosen = points[start];
+        for (let i = start; i < end; i++) {
+            const area = Math.abs(
+                (previous.x - averageX) * (points[i].y - previous.y) -
+                (previous.x - points[i].x) * (averageY - previous.y)
+            );
+            if (area > largest) {
+                largest = area;
+                chosen = points[i];
+            }
+        }
+        sampled.push(chosen);
+        previous = chosen;
+    }
+
+    sampled.push(points[points.length - 1]);
+    return sampled;
+}
@@ -0,0 +1,140 @@
+// Packet source over a WebSocket (the receiver's /ws).
+//
+// After connecting, the client subscribes with the index to start from and
+// its filters, and the server pushes every matching packet. Changing the
+// filters subscribes again from the next index. When the connection drops,
+// it is opened again after an exponential backoff with jitter and the
+// subscription resumes right after the last packet that was delivered.
+//
+// The WebSocket class, the random source and the timer functions can be
+// passed in, so the source can be run against a stand-in server.
+
+import { backoffDelay } from './backoff.js';
+
+export function createWebSocketSource(url, {
+    from = 0,
+    filters = {},
+    onPacket = () => {},
+    onStatus = () => {},
+    minDelay = 500,
+    maxDelay = 30000,
+    WebSocketImpl = globalThis.WebSocket,
+    random = Math.random,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout
+} = {}) {
+    let socket = null;
+    let lastIndex = from - 1;
+    let attempt = 0;        // failed connections in a row
+    let retryTimer = null;
+    let stopped = true;
+    let total = null;       // packets the receiver has, null until it says
+    let skipped = -1;       // last index the receiver went past, delivered or filtered out
+
+    function connect() {
+        retryTimer = null;
+        onStatus("connecting");
+        // a socket that was replaced, e.g. by stop() and start() before it
+        // finished closing, is ignored from then on
+        const current = new WebSocketImpl(url);
+        socket = current;
+
+        current.onopen = () => {
+            if (socket !== current) return;
+            attempt = 0;
+            onStatus("open");
+            subscribe();
+        };
+
+        current.onmessage = event => {
+            if (socket !== current) return;
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                console.error("Invalid message from websocket:", err);
+                return;
+            }
+            if (message.type === "total") {
+                total = message.total;
+                skipped = Math.max(skipped, message.from - 1);
+                return;
+            }
+            if (message.type !== "packet") return;
+            // a new subscription may repeat what was already delivered
+            if (message.index <= lastIndex) return;
+            lastIndex = message.index;
+            onPacket(message.packet, message.index);
+        };
+
+        // an error is always followed by close, the retry is handled there
+        current.onclose = () => {
+            if (socket !== current) return;
+            socket = null;
+            if (!stopped) scheduleReconnect();
+        };
+    }
+
+    function scheduleReconnect() {
+        const wait = backoffDelay(attempt, { minDelay, maxDelay, random });
+        attempt++;
+        onStatus("reconnecting", wait);
+        retryTimer = setTimer(connect, wait);
+    }
+
+    function subscribe() {
+        if (!socket || socket.readyState !== WebSocketImpl.OPEN) return;
+        socket.send(JSON.stringify({ type: "subscribe", from: lastIndex + 1, filters }));
+    }
+
+    function start() {
+        if (!stopped) return;
+        stopped = false;
+        connect();
+    }
+
+    function stop() {
+        stopped = true;
+        if (retryTimer !== null) {
+            clearTimer(retryTimer);
+            retryTimer = null;
+        }
+        if (socket) {
+            socket.close();
+            socket = null;
+        }
+        onStatus("closed");
+    }
+
+    // Skips the rest of the backoff and reconnects right away.
+    function retryNow() {
+        if (stopped || retryTimer === null) return;
+        clearTimer(retryTimer);
+        connect();
+    }
+
+    // Replaces the filters; packets from now on are sent with the new ones.
+    function setFilters(next) {
+        filters = { ...next };
+        subscribe();
+    }
+
+    return {
+        start,
+        stop,
+        retryNow,
+        setFilters,
+        get running() {
+            return !stopped;
+        },
+        // index of the next packet the socket will deliver
+        get nextIndex() {
+            return lastIndex + 1;
+        },
+        // packets the receiver has that were not delivered or filtered out
+        // yet, null while unknown
+        get backlog() {
+            return total === null ? null : Math.max(0, total - (Math.max(lastIndex, skipped) + 1));
+        }
+    };
+}